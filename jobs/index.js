@@ -0,0 +1,57 @@
+const { registerJob } = require('../utils/jobRunner');
+const { publishDueBlogs } = require('../utils/publishing');
+const { deliverDueWebhooks } = require('../utils/webhooks');
+const { refreshRankings, REFRESH_INTERVAL_SECONDS } = require('../utils/rankings');
+const { sendDueDigest, DIGEST_INTERVAL_DAYS } = require('../utils/newsletter');
+
+/**
+ * Background jobs of the blog platform
+ */
+
+const PUBLISH_INTERVAL_SECONDS = parseInt(process.env.PUBLISH_INTERVAL_SECONDS) || 60;
+const WEBHOOK_RETRY_INTERVAL_SECONDS = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS) || 30;
+const DIGEST_CHECK_INTERVAL_SECONDS = 60 * 60;
+
+let registered = false;
+
+/**
+ * Register every job with the job runner once per process
+ */
+const registerJobs = () => {
+  if (registered) return;
+  registered = true;
+
+  // Flip scheduled blogs to published once their publish date has passed
+  registerJob({
+    name: 'publishScheduled',
+    intervalMs: PUBLISH_INTERVAL_SECONDS * 1000,
+    run: publishDueBlogs
+  });
+
+  // Retry failed webhook deliveries with backoff
+  registerJob({
+    name: 'deliverWebhooks',
+    intervalMs: WEBHOOK_RETRY_INTERVAL_SECONDS * 1000,
+    run: deliverDueWebhooks
+  });
+
+  // Recompute the popular and trending rankings
+  registerJob({
+    name: 'refreshRankings',
+    intervalMs: REFRESH_INTERVAL_SECONDS * 1000,
+    run: refreshRankings
+  });
+
+  // Send the newsletter digest once the previous one is old enough (opt-in)
+  if (DIGEST_INTERVAL_DAYS > 0) {
+    registerJob({
+      name: 'sendNewsletterDigest',
+      intervalMs: DIGEST_CHECK_INTERVAL_SECONDS * 1000,
+      run: sendDueDigest
+    });
+  }
+};
+
+module.exports = {
+  registerJobs
+};
@@ -1,5 +1,9 @@
 
 const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+const slugHistoryPlugin = require('../utils/slugHistory');
+
+const SOCIAL_NETWORKS = ['website', 'twitter', 'linkedin', 'github', 'facebook', 'instagram', 'youtube'];
 
 const authorSchema = new mongoose.Schema({
   name: {
@@ -8,6 +12,48 @@ const authorSchema = new mongoose.Schema({
     trim: true,
     unique: true
   },
+  // Sparse: authors created before slugs existed get one on their next save
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  jobTitle: {
+    type: String,
+    trim: true
+  },
+  bio: {
+    type: String,
+    trim: true
+  },
+  avatar: {
+    type: new mongoose.Schema({
+      url: String,
+      cloudinaryPublicId: String,
+      // Square WebP sizes: original, small (96px), medium (256px), large (512px)
+      sizes: {
+        original: String,
+        small: String,
+        medium: String,
+        large: String
+      }
+    }, { _id: false }),
+    default: undefined
+  },
+  socialLinks: {
+    type: new mongoose.Schema(
+      Object.fromEntries(SOCIAL_NETWORKS.map((network) => [network, { type: String, trim: true }])),
+      { _id: false }
+    ),
+    default: undefined
+  },
+  // Optional user account allowed to edit this profile
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -18,14 +64,22 @@ const authorSchema = new mongoose.Schema({
   }
 });
 
-// Update timestamp when modified
+// Create slug from name and update timestamp when modified
 authorSchema.pre('save', function(next) {
+  if (!this.slug || this.isModified('name')) {
+    // Names without latin letters or digits fall back to the id
+    this.slug = slugify(this.name) || String(this._id);
+  }
+
   if (this.isModified()) {
     this.updatedAt = Date.now();
   }
   next();
 });
 
+// Keep old slugs so renamed authors keep their pages (registered after slug generation)
+authorSchema.plugin(slugHistoryPlugin);
+
 const Author = mongoose.model('Author', authorSchema);
 
 module.exports = Author;
@@ -1,5 +1,38 @@
 const mongoose = require('mongoose');
 const slugify = require('../utils/slugify');
+const slugHistoryPlugin = require('../utils/slugHistory');
+const { CONTENT_FORMATS, renderContent, analyzeContent } = require('../utils/content');
+
+// Responsive WebP variants generated by utils/upload.js
+const responsiveUrlsSchema = new mongoose.Schema({
+  original: String,
+  thumbnail: String,
+  medium: String,
+  large: String,
+  mobile: String
+}, { _id: false });
+
+// Image optimization details stored alongside the Cloudinary image
+const imageMetadataSchema = new mongoose.Schema({
+  format: {
+    type: String,
+    trim: true
+  },
+  originalFormat: {
+    type: String,
+    trim: true
+  },
+  isAnimated: {
+    type: Boolean,
+    default: false
+  },
+  cloudinaryPublicId: {
+    type: String,
+    trim: true
+  },
+  responsiveUrls: responsiveUrlsSchema,
+  blogPostUrl: String
+}, { _id: false });
 
 const blogSchema = new mongoose.Schema({
   title: {
@@ -15,6 +48,28 @@ const blogSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Format `content` is written in; readers get the rendered, sanitised contentHtml
+  contentFormat: {
+    type: String,
+    enum: CONTENT_FORMATS,
+    default: 'html'
+  },
+  contentHtml: {
+    type: String,
+    select: false
+  },
+  // Computed from contentHtml on save
+  wordCount: Number,
+  readingTime: {
+    type: Number, // minutes
+    index: true
+  },
+  toc: [{
+    _id: false,
+    level: Number,
+    text: String,
+    id: String
+  }],
   authorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Author',
@@ -47,6 +102,17 @@ const blogSchema = new mongoose.Schema({
     default: false,
     index: true // Add index for faster featured blog queries
   },
+  // Total de-duplicated views, see utils/views.js
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  // Number of reactions per type, kept in sync by utils/reactions.js
+  reactionCounts: {
+    type: Map,
+    of: Number,
+    default: undefined
+  },
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -72,9 +138,13 @@ const blogSchema = new mongoose.Schema({
       message: props => `${props.value} is not a valid URL!`
     }
   },
+  imageMetadata: {
+    type: imageMetadataSchema,
+    default: undefined
+  },
   status: {
     type: String,
-    enum: ['draft', 'published'],
+    enum: ['draft', 'scheduled', 'published'],
     default: 'published',
     index: true // Add index for faster status filtering
   },
@@ -107,10 +177,18 @@ blogSchema.pre('save', function(next) {
   if (!this.slug) {
     this.slug = slugify(this.title);
   }
+  // Posts saved before reading statistics existed get them on their next save
+  if (this.isNew || this.isModified('content') || this.isModified('contentFormat') || this.wordCount == null) {
+    this.contentHtml = renderContent(this.content, this.contentFormat);
+    Object.assign(this, analyzeContent(this.contentHtml));
+  }
   this.updatedAt = new Date();
   next();
 });
 
+// Keep old slugs so outdated URLs can redirect (registered after slug generation)
+blogSchema.plugin(slugHistoryPlugin);
+
 const Blog = mongoose.model('Blog', blogSchema);
 
 module.exports = Blog;
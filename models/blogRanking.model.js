@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Precomputed ranking of published posts (popular, trending), refreshed by a background job
+const blogRankingSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  items: [{
+    _id: false,
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Blog'
+    },
+    score: Number
+  }],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const BlogRanking = mongoose.model('BlogRanking', blogRankingSchema);
+
+module.exports = BlogRanking;
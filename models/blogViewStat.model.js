@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Views of a blog on one day (UTC), one document per blog and day
+const blogViewStatSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  // Start of the day (00:00 UTC)
+  date: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  }
+});
+
+blogViewStatSchema.index({ blog: 1, date: 1 }, { unique: true });
+blogViewStatSchema.index({ date: 1 });
+
+const BlogViewStat = mongoose.model('BlogViewStat', blogViewStatSchema);
+
+module.exports = BlogViewStat;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Marker that a visitor already viewed a blog today, so repeated views are counted once.
+// Only a salted hash is stored, never the visitor's IP address.
+const blogViewVisitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the network visitor (IP address and user agent), to cap the visitor ids counted per network visitor
+  sourceKey: {
+    type: String,
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A key covers one UTC day; keep it a little longer than that
+blogViewVisitSchema.index({ createdAt: 1 }, { expireAfterSeconds: 2 * 24 * 60 * 60 });
+
+const BlogViewVisit = mongoose.model('BlogViewVisit', blogViewVisitSchema);
+
+module.exports = BlogViewVisit;
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A blog saved to a user's reading list
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+bookmarkSchema.index({ user: 1, blog: 1 }, { unique: true });
+// Reading list, most recently saved first
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+bookmarkSchema.index({ blog: 1 });
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+
+module.exports = Bookmark;
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Version stamp of a cache namespace ('feeds:', 'sitemaps:'...), bumped on every purge so
+// all processes (API instances, worker) drop entries computed before the change
+const cacheVersionSchema = new mongoose.Schema({
+  _id: {
+    type: String
+  },
+  version: {
+    type: Number,
+    default: 0
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const CacheVersion = mongoose.model('CacheVersion', cacheVersionSchema);
+
+module.exports = CacheVersion;
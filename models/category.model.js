@@ -1,6 +1,7 @@
 
 const mongoose = require('mongoose');
 const slugify = require('../utils/slugify');
+const slugHistoryPlugin = require('../utils/slugHistory');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -17,6 +18,19 @@ const categorySchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Parent section; null for top-level categories
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null,
+    index: true
+  },
+  // Ids of all parents from the top-level category down, kept in sync with `parent`
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    index: true
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -40,6 +54,46 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Derive ancestors from the parent (cycles are rejected by the routes, see utils/categories.js)
+categorySchema.pre('save', async function(next) {
+  try {
+    if (!this.isNew && !this.isModified('parent')) return next();
+
+    const parent = this.parent && await this.constructor.findById(this.parent).select('ancestors').lean();
+    // Categories created before the hierarchy existed have no ancestors stored (see backfillCategoryAncestors)
+    const parentAncestors = (parent && parent.ancestors) || [];
+    if (parent && (parent._id.equals(this._id) || parentAncestors.some((id) => id.equals(this._id)))) {
+      return next(new Error('A category cannot be moved under itself or one of its subcategories'));
+    }
+
+    this.ancestors = parent ? [...parentAncestors, parent._id] : [];
+    this.$locals.ancestorsChanged = !this.isNew;
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// Moving a category moves its whole subtree: rewrite the ancestors of every descendant
+categorySchema.post('save', async function() {
+  if (!this.$locals.ancestorsChanged) return;
+  this.$locals.ancestorsChanged = false;
+
+  await this.constructor.updateMany({ ancestors: this._id }, [{
+    $set: {
+      ancestors: {
+        $concatArrays: [
+          this.ancestors,
+          { $slice: ['$ancestors', { $indexOfArray: ['$ancestors', this._id] }, { $size: '$ancestors' }] }
+        ]
+      }
+    }
+  }]);
+});
+
+// Keep old slugs so renamed categories keep working (registered after slug generation)
+categorySchema.plugin(slugHistoryPlugin);
+
 const Category = mongoose.model('Category', categorySchema);
 
 module.exports = Category;
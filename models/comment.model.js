@@ -5,7 +5,8 @@ const commentSchema = new mongoose.Schema({
   blog: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Blog',
-    required: true
+    required: true,
+    index: true // Add index for faster per-blog listing
   },
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -17,6 +18,33 @@ const commentSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Direct parent for replies, null for top-level comments
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+    index: true
+  },
+  // Top-level comment of the thread, used to load a whole thread in one query
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'spam'],
+    default: 'pending',
+    index: true // Add index for the moderation queue
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -27,6 +55,10 @@ const commentSchema = new mongoose.Schema({
   }
 });
 
+// Compound index for paginated listing of a blog's comments
+commentSchema.index({ blog: 1, createdAt: -1 });
+commentSchema.index({ blog: 1, parent: 1, status: 1, createdAt: -1 });
+
 commentSchema.pre('save', function(next) {
   if (this.isModified()) {
     this.updatedAt = Date.now();
@@ -34,6 +66,16 @@ commentSchema.pre('save', function(next) {
   next();
 });
 
+// Filter for comments readers may see (comments created before moderation have no status)
+commentSchema.statics.visibleFilter = function() {
+  return {
+    $or: [
+      { status: 'approved' },
+      { status: { $exists: false } }
+    ]
+  };
+};
+
 const Comment = mongoose.model('Comment', commentSchema);
 
 module.exports = Comment;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A sent newsletter digest; the latest one marks where the next digest starts
+const newsletterDigestSchema = new mongoose.Schema({
+  // Posts published in (since, until] are included
+  since: {
+    type: Date,
+    required: true
+  },
+  until: {
+    type: Date,
+    required: true
+  },
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog'
+  }],
+  sent: {
+    type: Number,
+    default: 0
+  },
+  skipped: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  // Subscribers the digest could not be sent to; their next digest also covers this window
+  failedSubscribers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscriber'
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+newsletterDigestSchema.index({ until: -1 });
+
+const NewsletterDigest = mongoose.model('NewsletterDigest', newsletterDigestSchema);
+
+module.exports = NewsletterDigest;
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// A reader's reaction to a blog; each user can give each reaction type once per blog
+const reactionSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['like', 'clap', 'love', 'insightful'],
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reactionSchema.index({ blog: 1, user: 1, type: 1 }, { unique: true });
+// Recent reactions feed the popular/trending rankings
+reactionSchema.index({ createdAt: 1 });
+
+const Reaction = mongoose.model('Reaction', reactionSchema);
+
+module.exports = Reaction;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const revisionSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  // User who made the change (empty for the baseline of posts created before revisions existed)
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedFields: [{
+    type: String
+  }],
+  // Copy of the tracked blog fields after the change (see utils/revisions.js)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  restoredFrom: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One version number per blog, also used for listing newest first
+revisionSchema.index({ blog: 1, version: -1 }, { unique: true });
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+module.exports = Revision;
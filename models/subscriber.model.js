@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Newsletter subscriber; signups are only mailed digests once the address is confirmed (double opt-in)
+const subscriberSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Invalid email address']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'unsubscribed'],
+    default: 'pending'
+  },
+  // Categories the subscriber wants posts from (subcategories included); empty means every category
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Only a SHA-256 hash of the confirmation token is stored
+  confirmationTokenHash: {
+    type: String,
+    select: false
+  },
+  confirmationExpiresAt: {
+    type: Date
+  },
+  // Sent in every email to unsubscribe or manage preferences without an account
+  unsubscribeToken: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  confirmedAt: {
+    type: Date
+  },
+  unsubscribedAt: {
+    type: Date
+  },
+  lastDigestAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+subscriberSchema.index({ status: 1 });
+subscriberSchema.index({ confirmationTokenHash: 1 }, { sparse: true });
+
+const Subscriber = mongoose.model('Subscriber', subscriberSchema);
+
+module.exports = Subscriber;
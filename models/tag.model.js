@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+const slugHistoryPlugin = require('../utils/slugHistory');
+
+const tagSchema = new mongoose.Schema({
+  // Canonical display name, stored as-is in blog.tags
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  // Normalised key: "AI", "ai" and "A.I." all share the slug "ai"
+  slug: {
+    type: String,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+/**
+ * Normalised slug of a tag name. "+" and "#" are spelled out so that
+ * "C++", "C#" and "C" stay different tags.
+ * @param {String} name - Tag name
+ * @returns {String} - Slug
+ */
+tagSchema.statics.slugFor = function(name) {
+  const text = String(name).replace(/\+/g, ' plus ').replace(/#/g, ' sharp ');
+  // Names without any latin letters or digits keep a lowercase, hyphenated form
+  return slugify(text) || text.toLowerCase().trim().replace(/\s+/g, '-');
+};
+
+// Create slug from name before saving
+tagSchema.pre('save', function(next) {
+  if (!this.slug || this.isModified('name')) {
+    this.slug = this.constructor.slugFor(this.name);
+  }
+
+  if (this.isModified()) {
+    this.updatedAt = Date.now();
+  }
+
+  next();
+});
+
+// Keep old slugs so renamed tags keep their pages (registered after slug generation)
+tagSchema.plugin(slugHistoryPlugin);
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
@@ -1,6 +1,7 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const RefreshToken = require('./refreshToken.model');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -15,15 +16,27 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  isEmailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   password: {
     type: String,
     required: true
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'contributor', 'author', 'editor', 'admin'],
     default: 'user'
   },
+  // Incremented to invalidate every access and refresh token issued before
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -46,6 +59,25 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Revoke all sessions when the password or role of an existing user changes
+userSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('password') || this.isModified('role'))) {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+    this.$locals.sessionsRevoked = this.isModified('password') ? 'password_change' : 'role_change';
+  }
+  next();
+});
+
+userSchema.post('save', async function() {
+  if (this.$locals.sessionsRevoked) {
+    await RefreshToken.updateMany(
+      { user: this._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: this.$locals.sessionsRevoked }
+    );
+    delete this.$locals.sessionsRevoked;
+  }
+});
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
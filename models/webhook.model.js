@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { CONTENT_EVENTS } = require('../utils/events');
+
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Content events to deliver; '*' subscribes to every event
+  events: {
+    type: [{
+      type: String,
+      enum: [...CONTENT_EVENTS, '*']
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+  // Shared secret used to sign payloads; only returned when the webhook is created
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['success', 'failed']
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.index({ isActive: 1, events: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Exact JSON body sent to the endpoint, so retries carry the same signature input
+  payload: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // When the next attempt is due; unset once the delivery succeeded or gave up
+  nextAttemptAt: {
+    type: Date
+  },
+  lastAttemptAt: {
+    type: Date
+  },
+  responseStatus: {
+    type: Number
+  },
+  // Truncated response body or network error of the last attempt
+  responseBody: {
+    type: String
+  },
+  error: {
+    type: String
+  },
+  deliveredAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Keep the delivery log for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
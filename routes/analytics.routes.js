@@ -0,0 +1,151 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Category = require('../models/category.model');
+const Author = require('../models/author.model');
+const { authenticate, authorize } = require('../utils/auth');
+const {
+  INTERVALS,
+  parseDateRange,
+  getTopPosts,
+  getViewsOverTime,
+  getViewsBy
+} = require('../utils/analytics');
+const { parseLimit } = require('../utils/pagination');
+
+const router = express.Router();
+
+// Every analytics route is for editors and admins
+router.use(authenticate, authorize('blog:stats'));
+
+/**
+ * Parse the date range into req.range, answering 400 if invalid
+ */
+const dateRange = (req, res, next) => {
+  const { error, from, to } = parseDateRange(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  req.range = { from, to };
+  next();
+};
+
+// @route   GET /api/analytics/top-posts
+// @desc    Most viewed posts in a date range (?from=, ?to=, ?limit=)
+// @access  Private (Editor or Admin)
+router.get('/top-posts', dateRange, async (req, res) => {
+  try {
+    const { limit, error } = parseLimit(req.query.limit, 10, 100);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const posts = await getTopPosts(req.range, limit);
+
+    res.json({
+      success: true,
+      ...req.range,
+      posts
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch top posts',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/analytics/views
+// @desc    Views over time (?interval=day|week|month, ?blog=<id> for one post, ?from=, ?to=)
+// @access  Private (Editor or Admin)
+router.get('/views', dateRange, async (req, res) => {
+  try {
+    const interval = req.query.interval || 'day';
+
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid interval. Supported: ${INTERVALS.join(', ')}`
+      });
+    }
+
+    if (req.query.blog && !mongoose.Types.ObjectId.isValid(req.query.blog)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid blog id'
+      });
+    }
+
+    const series = await getViewsOverTime(req.range, interval, req.query.blog);
+
+    res.json({
+      success: true,
+      ...req.range,
+      interval,
+      totalViews: series.reduce((total, { views }) => total + views, 0),
+      series
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch views',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/analytics/categories
+// @desc    Views by category in a date range (?from=, ?to=)
+// @access  Private (Editor or Admin)
+router.get('/categories', dateRange, async (req, res) => {
+  try {
+    const categories = await getViewsBy(req.range, 'categoryId', Category);
+
+    res.json({
+      success: true,
+      ...req.range,
+      categories
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch views by category',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/analytics/authors
+// @desc    Views by author in a date range (?from=, ?to=)
+// @access  Private (Editor or Admin)
+router.get('/authors', dateRange, async (req, res) => {
+  try {
+    const authors = await getViewsBy(req.range, 'authorId', Author);
+
+    res.json({
+      success: true,
+      ...req.range,
+      authors
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch views by author',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
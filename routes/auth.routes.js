@@ -1,7 +1,15 @@
 
 const express = require('express');
 const User = require('../models/user.model');
-const { generateToken } = require('../utils/auth');
+const {
+  authenticate,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  consumeUserToken
+} = require('../utils/auth');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/authEmails');
 
 const router = express.Router();
 
@@ -36,15 +44,23 @@ router.post('/signup', async (req, res) => {
       await user.save();
     }
     
-    // Return user info with token
+    // A failed email must not fail the signup; the user can request a new one
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Failed to send verification email:', mailError.message);
+    }
+    
+    // Return user info with access and refresh tokens
     res.status(201).json({
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
       },
-      token: generateToken(user._id)
+      ...(await issueAuthTokens(user, req))
     });
   } catch (error) {
     console.error(error);
@@ -76,15 +92,16 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
     
-    // Return user info with token
+    // Return user info with access and refresh tokens
     res.json({
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
       },
-      token: generateToken(user._id)
+      ...(await issueAuthTokens(user, req))
     });
   } catch (error) {
     console.error(error);
@@ -95,4 +112,218 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+
+    if (user) {
+      try {
+        await sendPasswordResetEmail(user);
+      } catch (error) {
+        // Logged only: failing here would reveal that the account exists
+        console.error('Could not send password reset email:', error.message);
+      }
+    }
+
+    // Same response whether or not the account exists, to avoid leaking registered emails
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      message: 'Failed to send password reset email',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public (requires a valid reset token)
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+
+    const record = await consumeUserToken(token, 'password_reset');
+
+    if (!record) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const user = await User.findById(record.user);
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    // Saving the new password revokes all existing sessions (see user model)
+    user.password = password;
+
+    // Receiving the reset email proves ownership of the address
+    if (!user.isEmailVerified) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = Date.now();
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      message: 'Password reset failed',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using a verification token
+// @access  Public (requires a valid verification token)
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const record = await consumeUserToken(token, 'email_verification');
+    const user = record && await User.findById(record.user);
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = Date.now();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email address verified'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      message: 'Email verification failed',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    if (req.user.isEmailVerified) {
+      return res.status(400).json({ message: 'Email address is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      message: 'Failed to send verification email',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req);
+
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const { user, ...tokens } = result;
+
+    res.json({
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isEmailVerified: user.isEmailVerified
+      },
+      ...tokens
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      message: 'Token refresh failed',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the current session, or every session with allDevices: true
+// @access  Public (requires the session's refresh token)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const record = await revokeRefreshToken(refreshToken);
+
+    // Logging out everywhere needs a token that was still active, not a leaked old one
+    const wasActive = record && !record.revokedAt && record.expiresAt > new Date();
+
+    if (wasActive && (allDevices === true || allDevices === 'true')) {
+      await revokeAllSessions(record.user);
+    }
+
+    // Unknown tokens are treated as already logged out
+    res.json({
+      success: true,
+      message: allDevices ? 'Logged out from all devices' : 'Logged out'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      message: 'Logout failed',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
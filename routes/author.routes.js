@@ -1,20 +1,142 @@
 
 const express = require('express');
+const mongoose = require('mongoose');
 const Author = require('../models/author.model');
 const Blog = require('../models/blog.model');
-const { authenticate, authorizeAdmin } = require('../utils/auth');
+const User = require('../models/user.model');
+const { authenticate, authorize, hasPermission } = require('../utils/auth');
+const { avatarUpload, generateAvatarUrls, cloudinary } = require('../utils/upload');
+const { buildPublishedFilter } = require('../utils/blogVisibility');
+const { emitContentEvent, toEventData } = require('../utils/events');
+const { paginationParams, paginate } = require('../utils/pagination');
 
 const router = express.Router();
 
+const SOCIAL_NETWORKS = Object.keys(Author.schema.path('socialLinks').schema.paths);
+
+/**
+ * Check whether a user may edit an author profile: editors and admins, or the linked user
+ * @param {Object} user - User document
+ * @param {Object} author - Author document
+ * @returns {Boolean}
+ */
+const canEditAuthor = (user, author) => {
+  return hasPermission(user, 'author:manage') ||
+    Boolean(author.user && author.user.toString() === user._id.toString());
+};
+
+/**
+ * Apply profile fields from a request body to an author
+ * @param {Object} author - Author document
+ * @param {Object} body - Request body
+ * @param {Boolean} canLinkUser - Whether the user account link may be changed
+ * @returns {String|null} - Error message or null if valid
+ */
+const applyProfile = async (author, body, canLinkUser) => {
+  const { name, jobTitle, bio, socialLinks, user } = body;
+
+  if (name !== undefined) {
+    if (!name || !String(name).trim()) return 'Author name is required';
+
+    // Check if another author with the same name already exists
+    const existingAuthor = await Author.findOne({
+      name: String(name).trim(),
+      _id: { $ne: author._id }
+    });
+    if (existingAuthor) return 'Another author with this name already exists';
+
+    author.name = String(name).trim();
+  }
+
+  if (jobTitle !== undefined) author.jobTitle = jobTitle;
+  if (bio !== undefined) author.bio = bio;
+
+  if (socialLinks !== undefined) {
+    const links = socialLinks || {};
+    const unknown = Object.keys(links).filter((network) => !SOCIAL_NETWORKS.includes(network));
+    if (unknown.length > 0) return `Unknown social networks: ${unknown.join(', ')}. Supported: ${SOCIAL_NETWORKS.join(', ')}`;
+
+    for (const [network, url] of Object.entries(links)) {
+      if (url && !/^https?:\/\//i.test(url)) return `The ${network} link must be an http(s) URL`;
+    }
+
+    author.socialLinks = links;
+  }
+
+  if (user !== undefined) {
+    if (!canLinkUser) return 'Only editors and admins can link a profile to a user account';
+
+    if (user) {
+      if (!mongoose.Types.ObjectId.isValid(user) || !await User.exists({ _id: user })) {
+        return 'User not found';
+      }
+
+      const linkedAuthor = await Author.findOne({ user, _id: { $ne: author._id } }).select('name');
+      if (linkedAuthor) return `This user is already linked to the author "${linkedAuthor.name}"`;
+    }
+
+    author.user = user || undefined;
+  }
+
+  return null;
+};
+
+/**
+ * Load the author in req.params.id into req.author if the current user may edit it
+ */
+const loadEditableAuthor = async (req, res, next) => {
+  try {
+    const author = mongoose.Types.ObjectId.isValid(req.params.id) && await Author.findById(req.params.id);
+
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found'
+      });
+    }
+
+    if (!canEditAuthor(req.user, author)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this author profile'
+      });
+    }
+
+    req.author = author;
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch author',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove an author's avatar image from Cloudinary
+ */
+const destroyAvatar = async (author) => {
+  if (!author.avatar || !author.avatar.cloudinaryPublicId) return;
+
+  try {
+    await cloudinary.uploader.destroy(author.avatar.cloudinaryPublicId);
+  } catch (error) {
+    console.warn('Could not delete Cloudinary avatar:', error.message);
+  }
+};
+
 // @route   GET /api/authors
-// @desc    Get all authors
+// @desc    Get all authors (alphabetical, paginated)
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', paginationParams({ sortField: 'name', sortOrder: 1, defaultLimit: 100, maxLimit: 500 }), async (req, res) => {
   try {
-    const authors = await Author.find().sort({ name: 1 });
+    const { items: authors, ...page } = await paginate(req, Author, {}, (query) => query.select('-user'));
     res.json({
       success: true,
-      authors
+      authors,
+      ...page
     });
   } catch (error) {
     console.error(error);
@@ -26,12 +148,93 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/authors/me
+// @desc    Get the author profile linked to the current user
+// @access  Private
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const author = await Author.findOne({ user: req.user._id });
+
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'No author profile is linked to your account'
+      });
+    }
+
+    res.json({
+      success: true,
+      author
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch author',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/authors/slug/:slug
+// @desc    Get an author profile with its published posts (outdated slugs answer 301 with the canonical slug)
+// @access  Public
+router.get('/slug/:slug', paginationParams({ sortField: 'publishDate', sortOrder: -1 }), async (req, res) => {
+  try {
+    const author = await Author.findOne({ slug: req.params.slug }).select('-user').lean();
+
+    if (!author) {
+      // Outdated slug: redirect to the author's current slug
+      const renamed = await Author.findByPreviousSlug(req.params.slug);
+
+      if (renamed) {
+        const location = `${req.baseUrl}/slug/${encodeURIComponent(renamed.slug)}`;
+        return res.status(301).location(location).json({
+          success: true,
+          redirect: true,
+          slug: renamed.slug,
+          location
+        });
+      }
+
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found'
+      });
+    }
+
+    const filter = { ...buildPublishedFilter(), authorId: author._id };
+
+    const [{ items: blogs, ...page }, postCount] = await Promise.all([
+      paginate(req, Blog, filter, (query) => query
+        .select('-content')
+        .populate('categoryId', 'name slug')
+        .lean()),
+      Blog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      author: { ...author, postCount },
+      blogs,
+      ...page
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch author',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/authors/:id
 // @desc    Get author by ID
 // @access  Public
 router.get('/:id', async (req, res) => {
   try {
-    const author = await Author.findById(req.params.id);
+    const author = await Author.findById(req.params.id).select('-user');
     
     if (!author) {
       return res.status(404).json({ 
@@ -55,9 +258,9 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/authors
-// @desc    Create a new author
-// @access  Private (Admin only)
-router.post('/', authenticate, authorizeAdmin, async (req, res) => {
+// @desc    Create a new author (name, jobTitle, bio, socialLinks, user)
+// @access  Private (Editor or Admin)
+router.post('/', authenticate, authorize('author:manage'), async (req, res) => {
   try {
     const { name } = req.body;
     
@@ -68,17 +271,18 @@ router.post('/', authenticate, authorizeAdmin, async (req, res) => {
       });
     }
     
-    // Check if author already exists
-    const existingAuthor = await Author.findOne({ name: name.trim() });
-    if (existingAuthor) {
+    const author = new Author({ name: name.trim() });
+
+    const validationError = await applyProfile(author, req.body, true);
+    if (validationError) {
       return res.status(400).json({ 
         success: false,
-        message: 'Author already exists' 
+        message: validationError
       });
     }
-    
-    const author = new Author({ name: name.trim() });
+
     await author.save();
+    await emitContentEvent('author.created', { author: toEventData(author) });
     
     res.status(201).json({
       success: true,
@@ -95,45 +299,61 @@ router.post('/', authenticate, authorizeAdmin, async (req, res) => {
 });
 
 // @route   PUT /api/authors/:id
-// @desc    Update an author
-// @access  Private (Admin only)
-router.put('/:id', authenticate, authorizeAdmin, async (req, res) => {
+// @desc    Update an author profile
+// @access  Private (Editor or Admin, or the user linked to the profile)
+router.put('/:id', authenticate, loadEditableAuthor, async (req, res) => {
   try {
-    const { name } = req.body;
-    
-    if (!name || !name.trim()) {
+    const author = req.author;
+
+    const validationError = await applyProfile(author, req.body, hasPermission(req.user, 'author:manage'));
+    if (validationError) {
       return res.status(400).json({ 
         success: false,
-        message: 'Author name is required' 
+        message: validationError
       });
     }
+
+    await author.save();
+    await emitContentEvent('author.updated', { author: toEventData(author) });
     
-    // Check if another author with the same name already exists
-    const existingAuthor = await Author.findOne({ 
-      name: name.trim(),
-      _id: { $ne: req.params.id }
+    res.json({
+      success: true,
+      author
     });
-    
-    if (existingAuthor) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Another author with this name already exists' 
-      });
-    }
-    
-    const author = await Author.findByIdAndUpdate(
-      req.params.id,
-      { name: name.trim(), updatedAt: Date.now() },
-      { new: true }
-    );
-    
-    if (!author) {
-      return res.status(404).json({ 
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update author',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/authors/:id/avatar
+// @desc    Upload an author avatar (multipart field "avatar", stored as square WebP)
+// @access  Private (Editor or Admin, or the user linked to the profile)
+router.put('/:id/avatar', authenticate, loadEditableAuthor, avatarUpload.single('avatar'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
         success: false,
-        message: 'Author not found' 
+        message: 'Avatar image is required'
       });
     }
-    
+
+    const author = req.author;
+    await destroyAvatar(author);
+
+    author.avatar = {
+      url: req.file.path,
+      cloudinaryPublicId: req.file.filename,
+      sizes: generateAvatarUrls(req.file.filename)
+    };
+
+    await author.save();
+    await emitContentEvent('author.updated', { author: toEventData(author) });
+
     res.json({
       success: true,
       author
@@ -142,7 +362,33 @@ router.put('/:id', authenticate, authorizeAdmin, async (req, res) => {
     console.error(error);
     res.status(500).json({
       success: false,
-      message: 'Failed to update author',
+      message: 'Failed to upload avatar',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/authors/:id/avatar
+// @desc    Remove an author avatar
+// @access  Private (Editor or Admin, or the user linked to the profile)
+router.delete('/:id/avatar', authenticate, loadEditableAuthor, async (req, res) => {
+  try {
+    const author = req.author;
+    await destroyAvatar(author);
+
+    author.avatar = undefined;
+    await author.save();
+    await emitContentEvent('author.updated', { author: toEventData(author) });
+
+    res.json({
+      success: true,
+      author
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove avatar',
       error: error.message
     });
   }
@@ -150,8 +396,8 @@ router.put('/:id', authenticate, authorizeAdmin, async (req, res) => {
 
 // @route   DELETE /api/authors/:id
 // @desc    Delete an author
-// @access  Private (Admin only)
-router.delete('/:id', authenticate, authorizeAdmin, async (req, res) => {
+// @access  Private (Editor or Admin)
+router.delete('/:id', authenticate, authorize('author:manage'), async (req, res) => {
   try {
     // Check if any blogs are using this author
     const blogsWithAuthor = await Blog.countDocuments({ authorId: req.params.id });
@@ -171,6 +417,9 @@ router.delete('/:id', authenticate, authorizeAdmin, async (req, res) => {
         message: 'Author not found' 
       });
     }
+
+    await destroyAvatar(author);
+    await emitContentEvent('author.deleted', { author: toEventData(author) });
     
     res.json({ 
       success: true,
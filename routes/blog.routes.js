@@ -1,85 +1,131 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const multer = require("multer"); // Explicitly import multer
 const Blog = require("../models/blog.model");
-const { authenticate, authorizeAdmin } = require("../utils/auth");
+const Comment = require("../models/comment.model");
+const Revision = require("../models/revision.model");
+const Reaction = require("../models/reaction.model");
+const Bookmark = require("../models/bookmark.model");
+const { authenticate, authorize, canManageBlog } = require("../utils/auth");
 const { 
   upload, 
+  discardUploadOnError,
   generateWebPUrls, 
-  getOptimizedTransformation,
+  getPublicIdFromUrl,
+  buildImageMetadata,
+  deriveImageMetadata,
   cloudinary 
 } = require("../utils/upload");
 const slugify = require("../utils/slugify");
+const { buildPublishedFilter, isScheduled, findVisibleBlog } = require("../utils/blogVisibility");
+const { recordRevision, ensureBaselineRevision } = require("../utils/revisions");
+const {
+  resolvePublishStatus,
+  firePublishedHooks,
+  publishDueBlogs,
+} = require("../utils/publishing");
+const { emitContentEvent, toEventData } = require("../utils/events");
+const { parseLimit, paginationParams, paginate } = require("../utils/pagination");
+const { optimizeSearchFilter } = require("../utils/queryOptimizer");
+const { normalizeTags } = require("../utils/tags");
+const { findRelatedBlogs } = require("../utils/related");
+const { buildBreadcrumbs } = require("../utils/categories");
+const { CONTENT_FORMATS, getContentHtml, buildReadingTimeFilter } = require("../utils/content");
+const {
+  BULK_ACTIONS,
+  buildSelection,
+  resolveParams,
+  runBulkAction,
+} = require("../utils/bulkActions");
+const { recordView } = require("../utils/views");
+const { formatReactionCounts } = require("../utils/reactions");
+const { getRankedBlogs } = require("../utils/rankings");
+const cache = require("../utils/cache");
 
 const router = express.Router();
 
+const RELATED_CACHE_SECONDS = parseInt(process.env.RELATED_CACHE_SECONDS) || 3600;
+const BLOG_STATUSES = Blog.schema.path("status").enumValues;
+
+/**
+ * Load the blog in req.params.id into req.blog if the current user may update it,
+ * before any image is uploaded
+ */
+const loadEditableBlog = async (req, res, next) => {
+  try {
+    const blog = mongoose.Types.ObjectId.isValid(req.params.id) && await Blog.findById(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    if (!canManageBlog(req.user, blog, "update")) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to edit this blog",
+      });
+    }
+
+    req.blog = blog;
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch blog",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add the ?minReadingTime= / ?maxReadingTime= bounds to a list filter, answering 400 if invalid
+ * @returns {Boolean} - False if an error response was sent
+ */
+const applyReadingTimeFilter = (req, res, filter) => {
+  const { filter: readingTime, error } = buildReadingTimeFilter(req.query);
+
+  if (error) {
+    res.status(400).json({
+      success: false,
+      message: error,
+    });
+    return false;
+  }
+
+  Object.assign(filter, readingTime);
+  return true;
+};
+
 // @route   GET /api/blogs
-// @desc    Get all blogs with pagination
+// @desc    Get all blogs with pagination (newest first; ?sort=readingTime, ?minReadingTime=, ?maxReadingTime=)
 // @access  Public
-router.get("/", async (req, res) => {
+router.get("/", paginationParams({ sortField: "createdAt", sortOrder: -1, sortFields: ["readingTime"] }), async (req, res) => {
   try {
     // Filter by status if specified
     const filter = req.query.status ? { status: req.query.status } : {};
+    if (!applyReadingTimeFilter(req, res, filter)) return;
 
     // Add search functionality - use text index instead of regex for better performance
-    if (req.query.search) {
-      // Use text index if available, otherwise fall back to regex
-      if (req.query.search.length > 2) {
-        filter.$text = { $search: req.query.search };
-      } else {
-        filter.$or = [
-          { title: { $regex: req.query.search, $options: "i" } },
-          { content: { $regex: req.query.search, $options: "i" } },
-        ];
-      }
-    }
+    optimizeSearchFilter(filter, req.query.search);
 
-    // Create query with lean() for better performance
-    let query = Blog.find(filter)
-      .sort({ createdAt: -1 })
+    // Use lean() for better performance and a timeout to keep slow searches in check
+    const { items: blogs, ...page } = await paginate(req, Blog, filter, (query) => query
       .lean() // Use lean() to get plain JS objects instead of Mongoose documents (faster)
-      .select('title slug excerpt imageUrl imageAlt tags publishDate status isFeatured createdAt categoryId authorId author imageMetadata') // Added imageMetadata
+      .select('title slug excerpt imageUrl imageAlt tags publishDate status isFeatured createdAt categoryId authorId author imageMetadata wordCount readingTime toc reactionCounts') // Added imageMetadata
       .populate("categoryId", "name")
       .populate("authorId", "name")
-      .populate("author", "name");
-
-    // Apply pagination only if limit is specified
-    if (req.query.limit) {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit);
-      const skip = (page - 1) * limit;
-
-      query = query.skip(skip).limit(limit);
-    } else {
-      // If no limit specified, still limit to a reasonable number to prevent timeouts
-      query = query.limit(100);
-    }
-
-    // Execute query with timeout option
-    const blogs = await query.maxTimeMS(20000);
-
-    // Get total count with a separate, simpler query
-    // Use estimatedDocumentCount if no filters for better performance
-    const totalCount =
-      Object.keys(filter).length === 0
-        ? await Blog.estimatedDocumentCount()
-        : await Blog.countDocuments(filter).maxTimeMS(10000);
+      .populate("author", "name")
+      .maxTimeMS(20000));
 
-    // Prepare response
-    const response = {
+    res.json({
       success: true,
       blogs,
-      totalCount,
-    };
-
-    // Add pagination info only if limit was specified
-    if (req.query.limit) {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit);
-      response.currentPage = page;
-      response.totalPages = Math.ceil(totalCount / limit);
-    }
-
-    res.json(response);
+      ...page,
+    });
   } catch (error) {
     console.error(error);
 
@@ -105,129 +151,91 @@ router.get("/", async (req, res) => {
 });
 
 // @route   GET /api/blogs/scheduled
-// @desc    Get all scheduled blogs (published blogs with future publish dates)
-// @access  Private (Admin only)
-router.get("/scheduled", authenticate, authorizeAdmin, async (req, res) => {
+// @desc    Get all scheduled blogs, soonest first
+// @access  Private (Editor or Admin)
+router.get("/scheduled", authenticate, authorize("blog:viewScheduled"), paginationParams({ sortField: "publishDate", sortOrder: 1 }), async (req, res) => {
   try {
     const currentDate = new Date();
 
-    // Filter for published blogs with future publish dates
+    // Scheduled blogs, plus published blogs with future publish dates created before the scheduled status existed
     const filter = {
-      status: "published",
-      publishDate: { $gt: currentDate },
+      $or: [
+        { status: "scheduled" },
+        { status: "published", publishDate: { $gt: currentDate } },
+      ],
     };
 
-    // Create query
-    let query = Blog.find(filter)
-      .sort({ publishDate: 1 }) // Sort by publishDate in ascending order (earliest first)
+    // Sorted by publishDate in ascending order (earliest first)
+    const { items: blogs, ...page } = await paginate(req, Blog, filter, (query) => query
       .populate("categoryId", "name")
       .populate("authorId", "name")
-      .populate("author", "name");
-
-    // Apply pagination if requested
-    if (req.query.limit) {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit);
-      const skip = (page - 1) * limit;
-      query = query.skip(skip).limit(limit);
-    }
+      .populate("author", "name"));
 
-    // Execute query
-    const blogs = await query;
-
-    // Get total count
-    const totalCount = await Blog.countDocuments(filter);
-
-    // Prepare response
-    const response = {
+    res.json({
       success: true,
       blogs,
-      totalCount,
-    };
+      ...page,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch scheduled blogs",
+      error: error.message,
+    });
+  }
+});
 
-    // Add pagination info if requested
-    if (req.query.limit) {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit);
-      response.currentPage = page;
-      response.totalPages = Math.ceil(totalCount / limit);
-    }
+// @route   POST /api/blogs/scheduled/publish-due
+// @desc    Publish scheduled blogs whose publish date has passed (for cron triggers)
+// @access  Private (Editor or Admin)
+router.post("/scheduled/publish-due", authenticate, authorize("blog:publish:any"), async (req, res) => {
+  try {
+    const published = await publishDueBlogs();
 
-    res.json(response);
+    res.json({
+      success: true,
+      publishedCount: published.length,
+      blogs: published.map((blog) => ({
+        _id: blog._id,
+        title: blog.title,
+        slug: blog.slug,
+        publishDate: blog.publishDate,
+      })),
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch scheduled blogs",
+      message: "Failed to publish scheduled blogs",
       error: error.message,
     });
   }
 });
 
 // @route   GET /api/blogs/published
-// @desc    Get all published blogs up to the current date
+// @desc    Get all published blogs up to the current date (?sort=readingTime, ?minReadingTime=, ?maxReadingTime=)
 // @access  Public
-router.get("/published", async (req, res) => {
+router.get("/published", paginationParams({ sortField: "publishDate", sortOrder: -1, sortFields: ["readingTime"] }), async (req, res) => {
   try {
-    const currentDate = new Date();
-
     // Filter for published blogs with publishDate less than or equal to current date
-    const filter = {
-      status: "published",
-      $or: [
-        { publishDate: { $lte: currentDate } },
-        { publishDate: { $exists: false } }, // For backward compatibility with old posts
-      ],
-    };
+    const filter = buildPublishedFilter();
+    if (!applyReadingTimeFilter(req, res, filter)) return;
 
-    // Add search functionality
-    if (req.query.search) {
-      filter.$and = filter.$and || [];
-      filter.$and.push({
-        $or: [
-          { title: { $regex: req.query.search, $options: "i" } },
-          { content: { $regex: req.query.search, $options: "i" } },
-        ],
-      });
-    }
+    // Add search functionality (text index, regex only for very short terms)
+    optimizeSearchFilter(filter, req.query.search);
 
-    // Create query
-    let query = Blog.find(filter)
-      .sort({ publishDate: -1 }) // Sort by publishDate in descending order (newest first)
+    // Sorted by publishDate in descending order (newest first)
+    const { items: blogs, ...page } = await paginate(req, Blog, filter, (query) => query
       .populate("categoryId", "name")
       .populate("authorId", "name")
-      .populate("author", "name");
+      .populate("author", "name"));
 
-    // Apply pagination if requested
-    if (req.query.limit) {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit);
-      const skip = (page - 1) * limit;
-      query = query.skip(skip).limit(limit);
-    }
-
-    // Execute query
-    const blogs = await query;
-
-    // Get total count
-    const totalCount = await Blog.countDocuments(filter);
-
-    // Prepare response
-    const response = {
+    res.json({
       success: true,
       blogs,
-      totalCount,
-    };
-
-    // Add pagination info if requested
-    if (req.query.limit) {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit);
-      response.currentPage = page;
-      response.totalPages = Math.ceil(totalCount / limit);
-    }
-
-    res.json(response);
+      ...page,
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({
@@ -239,9 +247,9 @@ router.get("/published", async (req, res) => {
 });
 
 // @route   GET /api/blogs/featured
-// @desc    Get featured blogs with optional pagination
+// @desc    Get featured blogs with optional pagination (?sort=readingTime, ?minReadingTime=, ?maxReadingTime=)
 // @access  Public
-router.get("/featured", async (req, res) => {
+router.get("/featured", paginationParams({ sortField: "publishDate", sortOrder: -1, sortFields: ["readingTime"] }), async (req, res) => {
   try {
     // Create filter for featured blogs
     const filter = {
@@ -251,6 +259,7 @@ router.get("/featured", async (req, res) => {
         ? { status: req.query.status }
         : { status: "published" }),
     };
+    if (!applyReadingTimeFilter(req, res, filter)) return;
 
     // Filter for published blogs with publishDate in the past or equal to current date
     const currentDate = new Date();
@@ -264,49 +273,82 @@ router.get("/featured", async (req, res) => {
       });
     }
 
-    // Create query
-    let query = Blog.find(filter)
-      .sort({ publishDate: -1 }) // Sort by publishDate instead of createdAt
+    // Sorted by publishDate instead of createdAt
+    const { items: blogs, ...page } = await paginate(req, Blog, filter, (query) => query
       .populate("categoryId", "name")
       .populate("authorId", "name")
-      .populate("author", "name");
+      .populate("author", "name"));
 
-    // Apply pagination only if limit is specified
-    if (req.query.limit) {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit);
-      const skip = (page - 1) * limit;
+    res.json({
+      success: true,
+      blogs,
+      ...page,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch featured blogs",
+      error: error.message,
+    });
+  }
+});
 
-      query = query.skip(skip).limit(limit);
+// @route   GET /api/blogs/popular
+// @desc    Get the most popular published blogs of the week (time-decayed views and comments)
+// @access  Public
+router.get("/popular", async (req, res) => {
+  try {
+    const { limit, error } = parseLimit(req.query.limit, 10, 50);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
     }
 
-    // Execute query
-    const blogs = await query;
-
-    // Get total count
-    const totalCount = await Blog.countDocuments(filter);
+    const { blogs, computedAt } = await getRankedBlogs("popular", limit);
 
-    // Prepare response
-    const response = {
+    res.json({
       success: true,
       blogs,
-      totalCount,
-    };
+      computedAt,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch popular blogs",
+      error: error.message,
+    });
+  }
+});
 
-    // Add pagination info only if limit was specified
-    if (req.query.limit) {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit);
-      response.currentPage = page;
-      response.totalPages = Math.ceil(totalCount / limit);
+// @route   GET /api/blogs/trending
+// @desc    Get trending published blogs (engagement of the last days, recent activity weighted most)
+// @access  Public
+router.get("/trending", async (req, res) => {
+  try {
+    const { limit, error } = parseLimit(req.query.limit, 10, 50);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
     }
 
-    res.json(response);
+    const { blogs, computedAt } = await getRankedBlogs("trending", limit);
+
+    res.json({
+      success: true,
+      blogs,
+      computedAt,
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch featured blogs",
+      message: "Failed to fetch trending blogs",
       error: error.message,
     });
   }
@@ -318,9 +360,10 @@ router.get("/featured", async (req, res) => {
 router.get("/:id", async (req, res) => {
   try {
     const blog = await Blog.findById(req.params.id)
+      .select("+contentHtml")
       .lean()
-      .populate("authorId", "name")
-      .populate("categoryId", "name")
+      .populate("authorId", "name slug jobTitle avatar")
+      .populate("categoryId", "name slug ancestors")
       .populate("author", "name");
 
     if (!blog) {
@@ -332,7 +375,9 @@ router.get("/:id", async (req, res) => {
 
     res.json({
       success: true,
-      blog,
+      // Posts saved before rendering existed are rendered on the fly
+      blog: { ...blog, contentHtml: getContentHtml(blog), reactionCounts: formatReactionCounts(blog.reactionCounts) },
+      breadcrumbs: await buildBreadcrumbs(blog.categoryId),
     });
   } catch (error) {
     console.error(error);
@@ -345,19 +390,19 @@ router.get("/:id", async (req, res) => {
 });
 
 // @route   GET /api/blogs/slug/:slug
-// @desc    Get blog by slug
+// @desc    Get blog by slug (outdated slugs answer 301 with the canonical slug)
 // @access  Public
 router.get("/slug/:slug", async (req, res) => {
   try {
     const blog = await Blog.findOne({ slug: req.params.slug })
+      .select("+contentHtml")
       .lean()
       .populate("author", "name")
-      .populate("authorId", "name")
-      .populate("categoryId", "name");
+      .populate("authorId", "name slug jobTitle avatar")
+      .populate("categoryId", "name slug ancestors");
 
-    const currentDate = new Date();
     // Check if the blog is published and the publish date is in the past
-    if (blog && blog.status === "published" && blog.publishDate > currentDate) {
+    if (blog && isScheduled(blog)) {
       return res.status(404).json({
         success: false,
         message: "Blog not found",
@@ -365,6 +410,19 @@ router.get("/slug/:slug", async (req, res) => {
     }
 
     if (!blog) {
+      // Outdated slug: redirect to the blog's current slug
+      const renamed = await Blog.findByPreviousSlug(req.params.slug, "status publishDate");
+
+      if (renamed && !isScheduled(renamed)) {
+        const location = `${req.baseUrl}/slug/${encodeURIComponent(renamed.slug)}`;
+        return res.status(301).location(location).json({
+          success: true,
+          redirect: true,
+          slug: renamed.slug,
+          location,
+        });
+      }
+
       return res.status(404).json({
         success: false,
         message: "Blog not found",
@@ -373,7 +431,9 @@ router.get("/slug/:slug", async (req, res) => {
 
     res.json({
       success: true,
-      blog,
+      // Posts saved before rendering existed are rendered on the fly
+      blog: { ...blog, contentHtml: getContentHtml(blog), reactionCounts: formatReactionCounts(blog.reactionCounts) },
+      breadcrumbs: await buildBreadcrumbs(blog.categoryId),
     });
   } catch (error) {
     console.error(error);
@@ -387,8 +447,8 @@ router.get("/slug/:slug", async (req, res) => {
 
 // @route   POST /api/blogs
 // @desc    Create a new blog with WebP image upload
-// @access  Private (Admin only)
-router.post("/", authenticate, authorizeAdmin, upload.single('image'), async (req, res) => {
+// @access  Private (Contributor, Author, Editor or Admin; contributors create drafts only)
+router.post("/", authenticate, authorize("blog:create"), discardUploadOnError, upload.single('image'), async (req, res) => {
   try {
     // Log request body for debugging
     console.log('🎯 KheyaMind AI Blog Creation Request:', req.body);
@@ -411,6 +471,7 @@ router.post("/", authenticate, authorizeAdmin, upload.single('image'), async (re
     const {
       title,
       content,
+      contentFormat,
       metaDescription,
       metaKeywords,
       status,
@@ -427,11 +488,11 @@ router.post("/", authenticate, authorizeAdmin, upload.single('image'), async (re
     // ENHANCED: Image URL is now WebP from Cloudinary
     const imageUrl = req.file.path; // This is now WebP format
     
-    // ADDED: Generate responsive WebP URLs for the blog
-    const responsiveUrls = generateWebPUrls(req.file.filename);
-    
-    // ADDED: Get optimized URL for blog post display
-    const blogPostUrl = cloudinary.url(req.file.filename, getOptimizedTransformation('blog'));
+    // ADDED: Responsive WebP URLs and optimized blog post URL for the image
+    const imageMetadata = buildImageMetadata(req.file.filename, {
+      originalFormat,
+      isAnimated
+    });
 
     // Validate required fields
     if (!title) {
@@ -448,6 +509,13 @@ router.post("/", authenticate, authorizeAdmin, upload.single('image'), async (re
       });
     }
 
+    if (contentFormat !== undefined && !CONTENT_FORMATS.includes(contentFormat)) {
+      return res.status(400).json({
+        success: false,
+        message: `Content format must be one of: ${CONTENT_FORMATS.join(", ")}`,
+      });
+    }
+
     if (!excerpt) {
       return res.status(400).json({
         success: false,
@@ -517,6 +585,23 @@ router.post("/", authenticate, authorizeAdmin, upload.single('image'), async (re
       });
     }
 
+    if (status && !BLOG_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Supported: ${BLOG_STATUSES.join(", ")}`,
+      });
+    }
+
+    // Users without publish permission create drafts; an explicit publish request is refused
+    const canPublish = canManageBlog(req.user, { author: req.user._id }, "publish");
+    const blogStatus = status || (canPublish ? "published" : "draft");
+    if (blogStatus !== "draft" && !canPublish) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to publish blogs. Save it as a draft instead.",
+      });
+    }
+
     // Process custom slug if provided
     let customSlug = null;
     if (slug) {
@@ -532,10 +617,14 @@ router.post("/", authenticate, authorizeAdmin, upload.single('image'), async (re
       }
     }
 
+    // Variants of the same tag ("AI", "ai", "A.I.") share one canonical name
+    formattedTags = await normalizeTags(formattedTags);
+
     // ENHANCED: Create blog with WebP image URL and additional metadata
     const blog = new Blog({
       title,
       content,
+      contentFormat,
       author: req.user._id,
       metaDescription,
       metaKeywords: metaKeywords
@@ -544,7 +633,8 @@ router.post("/", authenticate, authorizeAdmin, upload.single('image'), async (re
           : metaKeywords.split(",").map((kw) => kw.trim())
         : [],
       imageUrl, // This is now WebP format
-      status: status || "published",
+      // Published blogs with a future publish date are stored as scheduled
+      status: resolvePublishStatus(blogStatus, publishDate),
       authorId: authorId,
       categoryId: categoryId,
       tags: formattedTags,
@@ -555,17 +645,16 @@ router.post("/", authenticate, authorizeAdmin, upload.single('image'), async (re
       ...(customSlug && { slug: customSlug }),
       
       // ADDED: Store WebP optimization metadata
-      imageMetadata: {
-        format: 'webp',
-        originalFormat: originalFormat,
-        isAnimated: isAnimated,
-        cloudinaryPublicId: req.file.filename,
-        responsiveUrls: responsiveUrls,
-        blogPostUrl: blogPostUrl
-      }
+      imageMetadata
     });
 
     await blog.save();
+    res.locals.uploadSaved = true;
+    await recordRevision(blog, { editor: req.user._id });
+    await emitContentEvent("blog.created", { blog: toEventData(blog) });
+    if (blog.status === "published") {
+      await firePublishedHooks(blog);
+    }
     await blog.populate("author", "name");
     if (blog.categoryId) await blog.populate("categoryId", "name");
     if (blog.authorId) await blog.populate("authorId", "name");
@@ -600,7 +689,7 @@ router.post("/", authenticate, authorizeAdmin, upload.single('image'), async (re
         isAnimated: isAnimated,
         finalSize: optimizationStats.finalSize,
         dimensions: optimizationStats.dimensions,
-        responsiveUrls: responsiveUrls
+        responsiveUrls: imageMetadata.responsiveUrls
       }
     });
     
@@ -624,23 +713,91 @@ router.post("/", authenticate, authorizeAdmin, upload.single('image'), async (re
   }
 });
 
+// @route   POST /api/blogs/bulk
+// @desc    Apply one action to many blogs selected by ids or filter (dryRun reports the changes without writing)
+// @access  Private (Editor or Admin)
+router.post("/bulk", authenticate, authorize("blog:update:any"), async (req, res) => {
+  try {
+    const { action, params, dryRun } = req.body;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid action. Supported: ${BULK_ACTIONS.join(", ")}`,
+      });
+    }
+
+    const selection = buildSelection(req.body);
+    const resolved = selection.error ? selection : await resolveParams(action, params, dryRun === true);
+
+    if (resolved.error) {
+      return res.status(400).json({
+        success: false,
+        message: resolved.error,
+      });
+    }
+
+    const result = await runBulkAction({
+      query: selection.query,
+      action,
+      params: resolved.params,
+      user: req.user,
+      dryRun: dryRun === true,
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+      });
+    }
+
+    res.json({
+      success: true,
+      action,
+      dryRun: dryRun === true,
+      ...result,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to run bulk action",
+      error: error.message,
+    });
+  }
+});
+
 // @route   PUT /api/blogs/:id
 // @desc    Update a blog with WebP image upload
-// @access  Private (Admin only)
-router.put("/:id", authenticate, authorizeAdmin, upload.single("image"), async (req, res) => {
+// @access  Private (Own blogs for Contributors/Authors, any blog for Editors/Admins)
+router.put("/:id", authenticate, authorize("blog:update:own", "blog:update:any"), loadEditableBlog, discardUploadOnError, upload.single("image"), async (req, res) => {
   try {
-    const blog = await Blog.findById(req.params.id);
+    const blog = req.blog;
 
-    if (!blog) {
-      return res.status(404).json({
+    if (req.body.status && !BLOG_STATUSES.includes(req.body.status)) {
+      return res.status(400).json({
         success: false,
-        message: "Blog not found",
+        message: `Invalid status. Supported: ${BLOG_STATUSES.join(", ")}`,
       });
     }
 
+    // Moving a blog out of draft (or keeping it live) requires publish permission
+    const nextStatus = req.body.status || blog.status;
+    if (nextStatus !== "draft" && !canManageBlog(req.user, blog, "publish")) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to publish this blog",
+      });
+    }
+
+    // Keep the pre-edit state of posts created before revision history existed
+    await ensureBaselineRevision(blog);
+
     const {
       title,
       content,
+      contentFormat,
       metaDescription,
       metaKeywords,
       status,
@@ -664,17 +821,10 @@ router.put("/:id", authenticate, authorizeAdmin, upload.single("image"), async (
       console.log('📁 New Cloudinary WebP URL:', req.file.path);
       
       // Generate responsive URLs for the new image
-      const responsiveUrls = generateWebPUrls(req.file.filename);
-      const blogPostUrl = cloudinary.url(req.file.filename, getOptimizedTransformation('blog'));
-      
-      imageUpdateInfo = {
-        format: 'webp',
-        originalFormat: originalFormat,
-        isAnimated: isAnimated,
-        cloudinaryPublicId: req.file.filename,
-        responsiveUrls: responsiveUrls,
-        blogPostUrl: blogPostUrl
-      };
+      imageUpdateInfo = buildImageMetadata(req.file.filename, {
+        originalFormat,
+        isAnimated
+      });
     }
 
     // Check if a custom slug was provided
@@ -719,6 +869,13 @@ router.put("/:id", authenticate, authorizeAdmin, upload.single("image"), async (
       });
     }
 
+    if (contentFormat !== undefined && !CONTENT_FORMATS.includes(contentFormat)) {
+      return res.status(400).json({
+        success: false,
+        message: `Content format must be one of: ${CONTENT_FORMATS.join(", ")}`,
+      });
+    }
+
     if (excerpt === "") {
       return res.status(400).json({
         success: false,
@@ -780,6 +937,7 @@ router.put("/:id", authenticate, authorizeAdmin, upload.single("image"), async (
     // Update blog fields
     blog.title = title || blog.title;
     blog.content = content || blog.content;
+    blog.contentFormat = contentFormat || blog.contentFormat;
     blog.metaDescription =
       metaDescription !== undefined ? metaDescription : blog.metaDescription;
     blog.metaKeywords = metaKeywords
@@ -789,7 +947,7 @@ router.put("/:id", authenticate, authorizeAdmin, upload.single("image"), async (
       : blog.metaKeywords;
     blog.authorId = authorId !== undefined ? authorId : blog.authorId;
     blog.categoryId = categoryId !== undefined ? categoryId : blog.categoryId;
-    blog.tags = formattedTags !== undefined ? formattedTags : blog.tags;
+    blog.tags = formattedTags !== undefined ? await normalizeTags(formattedTags) : blog.tags;
     blog.excerpt = excerpt !== undefined ? excerpt : blog.excerpt;
     blog.imageAlt = imageAlt !== undefined ? imageAlt : blog.imageAlt;
 
@@ -809,16 +967,27 @@ router.put("/:id", authenticate, authorizeAdmin, upload.single("image"), async (
     } else if (req.body.imageUrl) {
       // Use the provided image URL (fallback)
       blog.imageUrl = req.body.imageUrl;
+      // Metadata of the previous image would serve its variants for the new one
+      blog.imageMetadata = deriveImageMetadata(req.body.imageUrl);
     }
 
-    blog.status = status || blog.status;
+    const wasPublished = blog.status === "published";
 
     // Update publishDate if provided
     if (publishDate) {
       blog.publishDate = new Date(publishDate);
     }
 
+    // Published blogs with a future publish date are stored as scheduled
+    blog.status = resolvePublishStatus(status || blog.status, blog.publishDate);
+
     await blog.save();
+    res.locals.uploadSaved = true;
+    await recordRevision(blog, { editor: req.user._id });
+    await emitContentEvent("blog.updated", { blog: toEventData(blog) });
+    if (!wasPublished && blog.status === "published") {
+      await firePublishedHooks(blog);
+    }
     await blog.populate("author", "name");
     if (blog.categoryId) await blog.populate("categoryId", "name");
     if (blog.authorId) await blog.populate("authorId", "name");
@@ -873,8 +1042,8 @@ router.put("/:id", authenticate, authorizeAdmin, upload.single("image"), async (
 
 // @route   DELETE /api/blogs/:id
 // @desc    Delete a blog
-// @access  Private (Admin only)
-router.delete("/:id", authenticate, authorizeAdmin, async (req, res) => {
+// @access  Private (Own blogs for Authors, any blog for Editors/Admins)
+router.delete("/:id", authenticate, authorize("blog:delete:own", "blog:delete:any"), async (req, res) => {
   try {
     const blog = await Blog.findById(req.params.id);
 
@@ -885,6 +1054,13 @@ router.delete("/:id", authenticate, authorizeAdmin, async (req, res) => {
       });
     }
 
+    if (!canManageBlog(req.user, blog, "delete")) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to delete this blog",
+      });
+    }
+
     // ENHANCED: Also delete image from Cloudinary if it exists
     if (blog.imageMetadata && blog.imageMetadata.cloudinaryPublicId) {
       try {
@@ -896,6 +1072,11 @@ router.delete("/:id", authenticate, authorizeAdmin, async (req, res) => {
     }
 
     await blog.deleteOne();
+    await Comment.deleteMany({ blog: blog._id });
+    await Revision.deleteMany({ blog: blog._id });
+    await Reaction.deleteMany({ blog: blog._id });
+    await Bookmark.deleteMany({ blog: blog._id });
+    await emitContentEvent("blog.deleted", { blog: toEventData(blog) });
 
     res.json({
       success: true,
@@ -911,40 +1092,161 @@ router.delete("/:id", authenticate, authorizeAdmin, async (req, res) => {
   }
 });
 
+// @route   PUT /api/blogs/:id/schedule
+// @desc    Schedule or reschedule a blog for a future publish date
+// @access  Private (Own blogs for Authors, any blog for Editors/Admins)
+router.put("/:id/schedule", authenticate, authorize("blog:publish:own", "blog:publish:any"), async (req, res) => {
+  try {
+    const publishDate = new Date(req.body.publishDate);
+
+    if (!req.body.publishDate || isNaN(publishDate.getTime()) || publishDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "A future publishDate is required",
+      });
+    }
+
+    const blog = await Blog.findById(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    if (!canManageBlog(req.user, blog, "publish")) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to schedule this blog",
+      });
+    }
+
+    await ensureBaselineRevision(blog);
+
+    blog.publishDate = publishDate;
+    blog.status = "scheduled";
+    await blog.save();
+    await recordRevision(blog, { editor: req.user._id });
+    await emitContentEvent("blog.updated", { blog: toEventData(blog) });
+
+    res.json({
+      success: true,
+      blog,
+      message: `Blog scheduled for ${publishDate.toISOString()}`,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to schedule blog",
+      error: error.message,
+    });
+  }
+});
+
+// @route   DELETE /api/blogs/:id/schedule
+// @desc    Cancel a scheduled publication (the blog goes back to draft)
+// @access  Private (Own blogs for Authors, any blog for Editors/Admins)
+router.delete("/:id/schedule", authenticate, authorize("blog:publish:own", "blog:publish:any"), async (req, res) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    if (!canManageBlog(req.user, blog, "publish")) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to unschedule this blog",
+      });
+    }
+
+    if (resolvePublishStatus(blog.status, blog.publishDate) !== "scheduled") {
+      return res.status(400).json({
+        success: false,
+        message: "Blog is not scheduled",
+      });
+    }
+
+    await ensureBaselineRevision(blog);
+
+    blog.status = "draft";
+    await blog.save();
+    await recordRevision(blog, { editor: req.user._id });
+    await emitContentEvent("blog.updated", { blog: toEventData(blog) });
+
+    res.json({
+      success: true,
+      blog,
+      message: "Scheduled publication cancelled",
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to cancel scheduled publication",
+      error: error.message,
+    });
+  }
+});
+
 // ADDED: New route to get WebP optimization stats
 // @route   GET /api/blogs/stats/optimization
 // @desc    Get WebP optimization statistics for KheyaMind AI blog
-// @access  Private (Admin only)
-router.get("/stats/optimization", authenticate, authorizeAdmin, async (req, res) => {
+// @access  Private (Editor or Admin)
+router.get("/stats/optimization", authenticate, authorize("blog:stats"), async (req, res) => {
   try {
-    // Get all blogs with image metadata
-    const blogs = await Blog.find({
-      imageMetadata: { $exists: true }
-    }).select('imageMetadata createdAt').lean();
-
-    // Calculate optimization statistics
-    const stats = blogs.reduce((acc, blog) => {
-      acc.totalBlogs++;
-      
-      if (blog.imageMetadata && blog.imageMetadata.format === 'webp') {
-        acc.webpBlogs++;
-        
-        if (blog.imageMetadata.isAnimated) {
-          acc.animatedWebp++;
-        }
-        
-        // Track original formats
-        const originalFormat = blog.imageMetadata.originalFormat;
-        acc.originalFormats[originalFormat] = (acc.originalFormats[originalFormat] || 0) + 1;
-      }
-      
-      return acc;
-    }, {
-      totalBlogs: 0,
-      webpBlogs: 0,
-      animatedWebp: 0,
-      originalFormats: {}
-    });
+    // Aggregate image metadata across all blogs in the database
+    const [summary] = await Blog.aggregate([
+      {
+        $group: {
+          _id: null,
+          totalBlogs: { $sum: 1 },
+          withMetadata: {
+            $sum: { $cond: [{ $ifNull: ["$imageMetadata", false] }, 1, 0] },
+          },
+          webpBlogs: {
+            $sum: { $cond: [{ $eq: ["$imageMetadata.format", "webp"] }, 1, 0] },
+          },
+          animatedWebp: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$imageMetadata.format", "webp"] },
+                    { $eq: ["$imageMetadata.isAnimated", true] },
+                  ],
+                },
+                1,
+                0,
+              ],
+            },
+          },
+        },
+      },
+    ]);
+
+    // Track original formats of WebP images
+    const formatCounts = await Blog.aggregate([
+      { $match: { "imageMetadata.format": "webp" } },
+      { $group: { _id: "$imageMetadata.originalFormat", count: { $sum: 1 } } },
+    ]);
+
+    const stats = {
+      totalBlogs: summary ? summary.totalBlogs : 0,
+      withMetadata: summary ? summary.withMetadata : 0,
+      webpBlogs: summary ? summary.webpBlogs : 0,
+      animatedWebp: summary ? summary.animatedWebp : 0,
+      originalFormats: formatCounts.reduce((acc, { _id, count }) => {
+        acc[_id || "unknown"] = count;
+        return acc;
+      }, {}),
+    };
 
     // Calculate adoption rate
     const webpAdoption = stats.totalBlogs > 0 
@@ -958,6 +1260,7 @@ router.get("/stats/optimization", authenticate, authorizeAdmin, async (req, res)
           totalBlogs: stats.totalBlogs,
           webpBlogs: stats.webpBlogs,
           animatedWebp: stats.animatedWebp,
+          missingMetadata: stats.totalBlogs - stats.withMetadata,
           webpAdoption: webpAdoption,
           originalFormats: stats.originalFormats
         },
@@ -983,6 +1286,72 @@ router.get("/stats/optimization", authenticate, authorizeAdmin, async (req, res)
   }
 });
 
+// @route   GET /api/blogs/:id/related
+// @desc    Get published posts related to a blog by tags, category, author and text similarity
+// @access  Public
+router.get("/:id/related", async (req, res) => {
+  try {
+    const blog = await findVisibleBlog(req.params.id, "title tags categoryId authorId");
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 5, 20));
+
+    // Purged in every process (API and worker) whenever a post is published, updated or deleted, see utils/cache.js
+    const blogs = await cache.wrap(`related:${blog._id}:${limit}`, RELATED_CACHE_SECONDS, () =>
+      findRelatedBlogs(blog, { limit })
+    );
+
+    res.json({
+      success: true,
+      blogs,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch related blogs",
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/blogs/:id/views
+// @desc    Record a view of a published blog (bots and repeat views of the same visitor on the same day are not counted)
+// @access  Public
+router.post("/:id/views", async (req, res) => {
+  try {
+    const blog = await findVisibleBlog(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: "Blog not found",
+      });
+    }
+
+    const { counted, reason } = await recordView(blog, req);
+
+    res.status(202).json({
+      success: true,
+      counted,
+      ...(reason && { reason }),
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to record view",
+      error: error.message,
+    });
+  }
+});
+
 // ADDED: New route to get responsive URLs for existing images
 // @route   GET /api/blogs/:id/responsive-urls
 // @desc    Get responsive WebP URLs for a specific blog image
@@ -998,16 +1367,16 @@ router.get("/:id/responsive-urls", async (req, res) => {
       });
     }
 
-    // Generate responsive URLs if we have the Cloudinary public ID
+    // Use the stored responsive URLs, generating them only for posts without metadata
     let responsiveUrls = null;
-    if (blog.imageMetadata && blog.imageMetadata.cloudinaryPublicId) {
+    if (blog.imageMetadata && blog.imageMetadata.responsiveUrls) {
+      responsiveUrls = blog.imageMetadata.responsiveUrls;
+    } else if (blog.imageMetadata && blog.imageMetadata.cloudinaryPublicId) {
       responsiveUrls = generateWebPUrls(blog.imageMetadata.cloudinaryPublicId);
     } else if (blog.imageUrl) {
-      // For backward compatibility, try to extract public ID from URL
-      const urlParts = blog.imageUrl.split('/');
-      const publicIdWithExt = urlParts[urlParts.length - 1];
-      const publicId = publicIdWithExt.split('.')[0];
-      responsiveUrls = generateWebPUrls(publicId);
+      // For backward compatibility, extract the public ID (with folder) from the URL
+      const publicId = getPublicIdFromUrl(blog.imageUrl);
+      responsiveUrls = publicId ? generateWebPUrls(publicId) : null;
     }
 
     res.json({
@@ -0,0 +1,108 @@
+const express = require('express');
+const Bookmark = require('../models/bookmark.model');
+const { authenticate } = require('../utils/auth');
+const { findVisibleBlog } = require('../utils/blogVisibility');
+
+// Mounted at /api/blogs/:id/bookmark, so :id (blog id or slug) comes from the parent path
+const router = express.Router({ mergeParams: true });
+
+// Bookmarks belong to the signed-in user
+router.use(authenticate);
+
+/**
+ * Load the visible blog into req.blog
+ */
+const loadBlog = async (req, res, next) => {
+  try {
+    const blog = await findVisibleBlog(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    req.blog = blog;
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blog',
+      error: error.message
+    });
+  }
+};
+
+// @route   GET /api/blogs/:id/bookmark
+// @desc    Check whether the current user bookmarked a blog
+// @access  Private
+router.get('/', loadBlog, async (req, res) => {
+  try {
+    const bookmark = await Bookmark.findOne({ user: req.user._id, blog: req.blog._id }).lean();
+
+    res.json({
+      success: true,
+      bookmarked: Boolean(bookmark),
+      ...(bookmark && { bookmarkedAt: bookmark.createdAt })
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bookmark',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/blogs/:id/bookmark
+// @desc    Bookmark a blog (bookmarking twice is a no-op)
+// @access  Private
+router.put('/', loadBlog, async (req, res) => {
+  try {
+    let created = true;
+    try {
+      await Bookmark.create({ user: req.user._id, blog: req.blog._id });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      created = false;
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      bookmarked: true
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to bookmark blog',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/blogs/:id/bookmark
+// @desc    Remove a blog from the current user's bookmarks
+// @access  Private
+router.delete('/', loadBlog, async (req, res) => {
+  try {
+    await Bookmark.deleteOne({ user: req.user._id, blog: req.blog._id });
+
+    res.json({
+      success: true,
+      bookmarked: false
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove bookmark',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,91 @@
 
 const express = require('express');
+const mongoose = require('mongoose');
 const Category = require('../models/category.model');
 const Blog = require('../models/blog.model');
-const { authenticate, authorizeAdmin } = require('../utils/auth');
+const { authenticate, authorize } = require('../utils/auth');
+const { buildPublishedFilter } = require('../utils/blogVisibility');
+const { emitContentEvent, toEventData } = require('../utils/events');
+const { paginationParams, paginate } = require('../utils/pagination');
+const {
+  checkParent,
+  getSubtreeIds,
+  buildCategoryTree,
+  buildBreadcrumbs,
+  deleteCategory
+} = require('../utils/categories');
 
 const router = express.Router();
 
+/**
+ * Breadcrumbs and direct subcategories of a category, for category pages
+ * @returns {Object} - { breadcrumbs, children }
+ */
+const loadHierarchy = async (category) => {
+  const [breadcrumbs, children] = await Promise.all([
+    buildBreadcrumbs(category),
+    Category.find({ parent: category._id }).sort({ name: 1 }).select('name slug description').lean()
+  ]);
+
+  return { breadcrumbs, children };
+};
+
+/**
+ * Case-insensitive match on a whole category name (stored names are trimmed)
+ * @param {String} name - Category name
+ * @returns {RegExp}
+ */
+const nameMatcher = (name) => {
+  return new RegExp(`^${name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+};
+
+/**
+ * Find a category by current or previous slug
+ * @returns {Object|null} - Lean category or null
+ */
+const findCategoryBySlug = async (slug) => {
+  return await Category.findOne({ slug }).lean() || await Category.findOne({ previousSlugs: slug }).lean();
+};
+
+/**
+ * Answer 301 when a category was requested by an outdated slug
+ * @returns {Boolean} - True if a redirect was sent
+ */
+const redirectOutdatedSlug = (req, res, category, suffix = '') => {
+  if (category.slug === req.params.slug) return false;
+
+  const location = `${req.baseUrl}/slug/${encodeURIComponent(category.slug)}${suffix}`;
+  res.status(301).location(location).json({
+    success: true,
+    redirect: true,
+    slug: category.slug,
+    location
+  });
+  return true;
+};
+
 // @route   GET /api/categories
-// @desc    Get all categories
+// @desc    Get all categories (alphabetical, paginated; ?parent=<id>|root lists one level)
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', paginationParams({ sortField: 'name', sortOrder: 1, defaultLimit: 100, maxLimit: 500 }), async (req, res) => {
   try {
-    const categories = await Category.find().sort({ name: 1 });
+    const filter = {};
+    if (req.query.parent) {
+      if (req.query.parent !== 'root' && !mongoose.Types.ObjectId.isValid(req.query.parent)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid parent category'
+        });
+      }
+
+      filter.parent = req.query.parent === 'root' ? null : req.query.parent;
+    }
+
+    const { items: categories, ...page } = await paginate(req, Category, filter);
     res.json({
       success: true,
-      categories
+      categories,
+      ...page
     });
   } catch (error) {
     console.error(error);
@@ -26,12 +97,108 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/categories/tree
+// @desc    Get all categories nested by parent (for site navigation)
+// @access  Public
+router.get('/tree', async (req, res) => {
+  try {
+    const categories = await Category.find().select('name slug description parent').lean();
+
+    res.json({
+      success: true,
+      categories: buildCategoryTree(categories)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch category tree',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/categories/slug/:slug
+// @desc    Get category by slug with breadcrumbs and subcategories (outdated slugs answer 301 with the canonical slug)
+// @access  Public
+router.get('/slug/:slug', async (req, res) => {
+  try {
+    const category = await findCategoryBySlug(req.params.slug);
+
+    if (!category) {
+      return res.status(404).json({ 
+        success: false,
+        message: 'Category not found' 
+      });
+    }
+
+    // Outdated slug: redirect to the category's current slug
+    if (redirectOutdatedSlug(req, res, category)) return;
+    
+    res.json({
+      success: true,
+      category,
+      ...await loadHierarchy(category)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch category',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/categories/slug/:slug/blogs
+// @desc    Get published blogs in a category, newest first (?includeDescendants=true adds its subcategories)
+// @access  Public
+router.get('/slug/:slug/blogs', paginationParams({ sortField: 'publishDate', sortOrder: -1 }), async (req, res) => {
+  try {
+    const category = await findCategoryBySlug(req.params.slug);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (redirectOutdatedSlug(req, res, category, '/blogs')) return;
+
+    const categoryIds = req.query.includeDescendants === 'true'
+      ? await getSubtreeIds(category._id)
+      : [category._id];
+
+    const filter = { ...buildPublishedFilter(), categoryId: { $in: categoryIds } };
+    const { items: blogs, ...page } = await paginate(req, Blog, filter, (query) => query
+      .select('-content')
+      .populate('categoryId', 'name slug')
+      .populate('authorId', 'name')
+      .lean());
+
+    res.json({
+      success: true,
+      category,
+      blogs,
+      ...page
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch category blogs',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/categories/:id
-// @desc    Get category by ID
+// @desc    Get category by ID with breadcrumbs and subcategories
 // @access  Public
 router.get('/:id', async (req, res) => {
   try {
-    const category = await Category.findById(req.params.id);
+    const category = await Category.findById(req.params.id).lean();
     
     if (!category) {
       return res.status(404).json({ 
@@ -42,7 +209,8 @@ router.get('/:id', async (req, res) => {
     
     res.json({
       success: true,
-      category
+      category,
+      ...await loadHierarchy(category)
     });
   } catch (error) {
     console.error(error);
@@ -55,14 +223,21 @@ router.get('/:id', async (req, res) => {
 });
 
 // @route   POST /api/categories
-// @desc    Create a new category
-// @access  Private (Admin only)
-router.post('/', authenticate, authorizeAdmin, async (req, res) => {
+// @desc    Create a new category (name, description, parent)
+// @access  Private (Editor or Admin)
+router.post('/', authenticate, authorize('category:manage'), async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, parent } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category name is required'
+      });
+    }
     
     // Check if category with this name already exists
-    const existingCategory = await Category.findOne({ name: { $regex: new RegExp(`^${name}$`, 'i') } });
+    const existingCategory = await Category.findOne({ name: { $regex: nameMatcher(name) } });
     if (existingCategory) {
       return res.status(400).json({ 
         success: false,
@@ -72,10 +247,20 @@ router.post('/', authenticate, authorizeAdmin, async (req, res) => {
     
     const category = new Category({
       name,
-      description
+      description,
+      parent: parent || null
     });
+
+    const parentError = await checkParent(category, parent);
+    if (parentError) {
+      return res.status(400).json({
+        success: false,
+        message: parentError
+      });
+    }
     
     await category.save();
+    await emitContentEvent('category.created', { category: toEventData(category) });
     res.status(201).json({
       success: true,
       category
@@ -91,11 +276,11 @@ router.post('/', authenticate, authorizeAdmin, async (req, res) => {
 });
 
 // @route   PUT /api/categories/:id
-// @desc    Update a category
-// @access  Private (Admin only)
-router.put('/:id', authenticate, authorizeAdmin, async (req, res) => {
+// @desc    Update a category (parent: null moves it to the top level, with its subcategories)
+// @access  Private (Editor or Admin)
+router.put('/:id', authenticate, authorize('category:manage'), async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, parent } = req.body;
     
     const category = await Category.findById(req.params.id);
     
@@ -106,10 +291,17 @@ router.put('/:id', authenticate, authorizeAdmin, async (req, res) => {
       });
     }
     
+    if (name !== undefined && typeof name !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Category name must be a string'
+      });
+    }
+    
     // Check if another category with this name already exists
-    if (name !== category.name) {
+    if (name && name.trim() && name !== category.name) {
       const existingCategory = await Category.findOne({ 
-        name: { $regex: new RegExp(`^${name}$`, 'i') },
+        name: { $regex: nameMatcher(name) },
         _id: { $ne: req.params.id }
       });
       
@@ -121,10 +313,23 @@ router.put('/:id', authenticate, authorizeAdmin, async (req, res) => {
       }
     }
     
-    category.name = name || category.name;
+    category.name = name && name.trim() ? name : category.name;
     category.description = description !== undefined ? description : category.description;
+
+    if (parent !== undefined) {
+      const parentError = await checkParent(category, parent);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+
+      category.parent = parent || null;
+    }
     
     await category.save();
+    await emitContentEvent('category.updated', { category: toEventData(category) });
     res.json({
       success: true,
       category
@@ -140,21 +345,10 @@ router.put('/:id', authenticate, authorizeAdmin, async (req, res) => {
 });
 
 // @route   DELETE /api/categories/:id
-// @desc    Delete a category
-// @access  Private (Admin only)
-router.delete('/:id', authenticate, authorizeAdmin, async (req, res) => {
+// @desc    Delete a category, moving its posts to ?reassignPostsTo= and its subcategories to ?reassignChildrenTo= (default: its parent)
+// @access  Private (Editor or Admin)
+router.delete('/:id', authenticate, authorize('category:manage'), async (req, res) => {
   try {
-    // Check if any blog uses this category
-    const blogsWithCategory = await Blog.countDocuments({ categoryId: req.params.id });
-    
-    if (blogsWithCategory > 0) {
-      return res.status(400).json({ 
-        success: false,
-        message: 'Cannot delete category because it is used in blog posts',
-        blogsCount: blogsWithCategory
-      });
-    }
-    
     const category = await Category.findById(req.params.id);
     
     if (!category) {
@@ -163,12 +357,63 @@ router.delete('/:id', authenticate, authorizeAdmin, async (req, res) => {
         message: 'Category not found' 
       });
     }
+
+    const { reassignPostsTo, reassignChildrenTo } = req.query;
+    const subtreeIds = (await getSubtreeIds(category._id)).map(String);
+
+    const findTarget = async (id) => {
+      if (!mongoose.Types.ObjectId.isValid(id)) return null;
+      return Category.findById(id);
+    };
+
+    // Check if any blog uses this category
+    const blogsWithCategory = await Blog.countDocuments({ categoryId: category._id });
+    let postsTarget = null;
+
+    if (blogsWithCategory > 0) {
+      if (!reassignPostsTo) {
+        return res.status(400).json({ 
+          success: false,
+          message: 'Cannot delete category because it is used in blog posts; pass reassignPostsTo to move them to another category',
+          blogsCount: blogsWithCategory
+        });
+      }
+
+      postsTarget = await findTarget(reassignPostsTo);
+      if (!postsTarget || postsTarget._id.equals(category._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'reassignPostsTo must be another existing category'
+        });
+      }
+    }
+
+    // Subcategories move up one level unless another parent is given
+    let childrenTarget = null;
+    const childrenTargetId = reassignChildrenTo || category.parent;
+
+    if (childrenTargetId && reassignChildrenTo !== 'root') {
+      childrenTarget = await findTarget(childrenTargetId);
+      if (!childrenTarget || subtreeIds.includes(String(childrenTarget._id))) {
+        return res.status(400).json({
+          success: false,
+          message: 'reassignChildrenTo must be an existing category outside the deleted category, or "root"'
+        });
+      }
+    }
     
-    await category.deleteOne();
+    const { reassignedPosts, reassignedChildren } = await deleteCategory(category, { postsTarget, childrenTarget });
+    await emitContentEvent('category.deleted', {
+      category: toEventData(category),
+      ...(postsTarget && { postsReassignedTo: postsTarget._id }),
+      ...(reassignedChildren > 0 && { childrenReassignedTo: childrenTarget ? childrenTarget._id : null })
+    });
     
     res.json({ 
       success: true,
-      message: 'Category removed successfully' 
+      message: 'Category removed successfully',
+      reassignedPosts,
+      reassignedChildren
     });
   } catch (error) {
     console.error(error);
@@ -0,0 +1,286 @@
+const express = require('express');
+const Comment = require('../models/comment.model');
+const { authenticate } = require('../utils/auth');
+const { findVisibleBlog } = require('../utils/blogVisibility');
+const { emitContentEvent, toEventData } = require('../utils/events');
+const { paginationParams, paginate } = require('../utils/pagination');
+
+// Mounted at /api/blogs/:id/comments, so :id (blog id or slug) comes from the parent path
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Nests replies under their parent comments
+ * @param {Array} comments - Top-level comments
+ * @param {Array} replies - Replies belonging to the threads of those comments
+ * @returns {Array} - Top-level comments, each with a nested `replies` array
+ */
+const buildThreads = (comments, replies) => {
+  const byId = new Map();
+
+  [...comments, ...replies].forEach((comment) => {
+    comment.replies = [];
+    byId.set(comment._id.toString(), comment);
+  });
+
+  replies.forEach((reply) => {
+    const parent = byId.get(reply.parent.toString());
+    // Replies whose parent is hidden (pending, rejected...) are dropped with it
+    if (parent) {
+      parent.replies.push(reply);
+    }
+  });
+
+  return comments;
+};
+
+/**
+ * Collects the ids of a comment and all of its descendants
+ * @param {Object} comment - Comment document
+ * @returns {Array} - Comment ids
+ */
+const collectThreadIds = async (comment) => {
+  const ids = [comment._id];
+  let parentIds = [comment._id];
+
+  while (parentIds.length > 0) {
+    const children = await Comment.find({ parent: { $in: parentIds } }).select('_id').lean();
+    parentIds = children.map((child) => child._id);
+    ids.push(...parentIds);
+  }
+
+  return ids;
+};
+
+// @route   GET /api/blogs/:id/comments
+// @desc    Get approved comments for a blog with nested replies and pagination
+// @access  Public
+router.get('/', paginationParams({ sortField: 'createdAt', sortOrder: -1 }), async (req, res) => {
+  try {
+    const blog = await findVisibleBlog(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    // Paginate top-level comments only; replies are loaded per thread
+    const filter = {
+      blog: blog._id,
+      parent: null,
+      ...Comment.visibleFilter()
+    };
+
+    const { items: comments, ...page } = await paginate(req, Comment, filter, (query) => query
+      .populate('user', 'name')
+      .lean());
+
+    const replies = await Comment.find({
+      root: { $in: comments.map((comment) => comment._id) },
+      ...Comment.visibleFilter()
+    })
+      .sort({ createdAt: 1 }) // Oldest first inside a thread
+      .populate('user', 'name')
+      .lean();
+
+    res.json({
+      success: true,
+      comments: buildThreads(comments, replies),
+      ...page
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch comments',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/blogs/:id/comments
+// @desc    Add a comment or a reply (parentId) to a blog
+// @access  Private
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { content, parentId } = req.body;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment content is required'
+      });
+    }
+
+    const blog = await findVisibleBlog(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    // Replies can only be attached to visible comments of the same blog
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({
+        _id: parentId,
+        blog: blog._id,
+        ...Comment.visibleFilter()
+      });
+
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found'
+        });
+      }
+    }
+
+    const isAdmin = req.user.role === 'admin';
+
+    const comment = new Comment({
+      blog: blog._id,
+      user: req.user._id,
+      content: content.trim(),
+      parent: parent ? parent._id : null,
+      root: parent ? parent.root || parent._id : null,
+      // Admin comments skip the moderation queue
+      status: isAdmin ? 'approved' : 'pending',
+      ...(isAdmin && { moderatedBy: req.user._id, moderatedAt: Date.now() })
+    });
+
+    await comment.save();
+    await emitContentEvent('comment.created', { comment: toEventData(comment) });
+    await comment.populate('user', 'name');
+
+    res.status(201).json({
+      success: true,
+      comment,
+      message: comment.status === 'pending'
+        ? 'Comment submitted and awaiting moderation'
+        : 'Comment published'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create comment',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/blogs/:id/comments/:commentId
+// @desc    Edit a comment
+// @access  Private (Comment author only)
+router.put('/:commentId', authenticate, async (req, res) => {
+  try {
+    const { content } = req.body;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Comment content is required'
+      });
+    }
+
+    const blog = await findVisibleBlog(req.params.id);
+    const comment = blog && await Comment.findOne({
+      _id: req.params.commentId,
+      blog: blog._id
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    // Only the person who wrote the comment may edit it
+    if (comment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this comment'
+      });
+    }
+
+    comment.content = content.trim();
+
+    // Edited comments go back through moderation unless written by an admin
+    if (req.user.role !== 'admin') {
+      comment.status = 'pending';
+      comment.moderatedBy = undefined;
+      comment.moderatedAt = undefined;
+    }
+
+    await comment.save();
+    await emitContentEvent('comment.updated', { comment: toEventData(comment) });
+    await comment.populate('user', 'name');
+
+    res.json({
+      success: true,
+      comment
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comment',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/blogs/:id/comments/:commentId
+// @desc    Delete a comment together with its replies
+// @access  Private (Comment author or Admin)
+router.delete('/:commentId', authenticate, async (req, res) => {
+  try {
+    const blog = await findVisibleBlog(req.params.id);
+    const comment = blog && await Comment.findOne({
+      _id: req.params.commentId,
+      blog: blog._id
+    });
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    const isOwner = comment.user.toString() === req.user._id.toString();
+    if (!isOwner && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this comment'
+      });
+    }
+
+    const threadIds = await collectThreadIds(comment);
+    await Comment.deleteMany({ _id: { $in: threadIds } });
+    await emitContentEvent('comment.deleted', {
+      comment: toEventData(comment),
+      deletedIds: threadIds
+    });
+
+    res.json({
+      success: true,
+      message: 'Comment removed',
+      deletedCount: threadIds.length
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
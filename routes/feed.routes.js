@@ -0,0 +1,157 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Blog = require('../models/blog.model');
+const Category = require('../models/category.model');
+const Author = require('../models/author.model');
+const cache = require('../utils/cache');
+const { buildPublishedFilter } = require('../utils/blogVisibility');
+const { toFeedItem, buildRss, buildAtom, buildJsonFeed } = require('../utils/feeds');
+const { getSiteUrl, getApiBase, apiUrl, categoryUrl, authorUrl } = require('../utils/urls');
+
+const router = express.Router();
+
+const SITE_TITLE = process.env.SITE_TITLE || 'KheyaMind AI Blog';
+const SITE_DESCRIPTION = process.env.SITE_DESCRIPTION || 'Latest posts from the KheyaMind AI Blog';
+const FEED_CACHE_SECONDS = parseInt(process.env.FEED_CACHE_SECONDS) || 300;
+
+const FEED_FORMATS = {
+  'rss.xml': {
+    contentType: 'application/rss+xml; charset=utf-8',
+    build: buildRss
+  },
+  'atom.xml': {
+    contentType: 'application/atom+xml; charset=utf-8',
+    build: buildAtom
+  },
+  'feed.json': {
+    contentType: 'application/feed+json; charset=utf-8',
+    build: (feed) => JSON.stringify(buildJsonFeed(feed))
+  }
+};
+
+/**
+ * Resolve the feed scope (whole site, one category or one author) from the request
+ * @returns {Object|null} - { filter, title, description, siteUrl } or null if not found
+ */
+const resolveScope = async (scope, params) => {
+  if (scope === 'category') {
+    // Renamed categories keep serving their feed under the old slug
+    const category = await Category.findOne({
+      $or: [{ slug: params.slug }, { previousSlugs: params.slug }]
+    }).lean();
+    if (!category) return null;
+
+    return {
+      filter: { categoryId: category._id },
+      title: `${SITE_TITLE} - ${category.name}`,
+      description: category.description || `Posts in ${category.name}`,
+      siteUrl: categoryUrl(category.slug)
+    };
+  }
+
+  if (scope === 'author') {
+    // Authors are addressed by slug (old and renamed slugs included) or, for older links, by id
+    const author = await Author.findOne({
+      $or: [
+        { slug: params.id },
+        { previousSlugs: params.id },
+        ...(mongoose.Types.ObjectId.isValid(params.id) ? [{ _id: params.id }] : [])
+      ]
+    }).lean();
+    if (!author) return null;
+
+    return {
+      filter: { authorId: author._id },
+      title: `${SITE_TITLE} - ${author.name}`,
+      description: `Posts by ${author.name}`,
+      siteUrl: authorUrl(author.slug || author._id)
+    };
+  }
+
+  return {
+    filter: {},
+    title: SITE_TITLE,
+    description: SITE_DESCRIPTION,
+    siteUrl: getSiteUrl()
+  };
+};
+
+/**
+ * Create a handler serving a feed for a scope in the format named by :format
+ * @param {String} scope - 'site', 'category' or 'author'
+ */
+const serveFeed = (scope) => async (req, res) => {
+  try {
+    const format = FEED_FORMATS[req.params.format];
+    const feedScope = format && await resolveScope(scope, req.params);
+
+    if (!feedScope) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed not found'
+      });
+    }
+
+    const fullContent = req.query.mode === 'full';
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 20, 100));
+
+    // Keyed on the validated parameters only, so arbitrary query strings cannot grow the cache
+    const path = `${req.baseUrl}${req.path}`;
+    const query = new URLSearchParams({
+      ...(fullContent && { mode: 'full' }),
+      ...(req.query.limit !== undefined && { limit })
+    }).toString();
+    const feedPath = query ? `${path}?${query}` : path;
+
+    const body = await cache.wrap(`feeds:${getApiBase(req)}${feedPath}`, FEED_CACHE_SECONDS, async () => {
+      const blogs = await Blog.find({ ...buildPublishedFilter(), ...feedScope.filter })
+        .sort({ publishDate: -1 })
+        .limit(limit)
+        .select(`title slug excerpt ${fullContent ? 'content contentFormat +contentHtml ' : ''}imageUrl imageAlt imageMetadata tags publishDate createdAt updatedAt categoryId authorId`)
+        .populate('categoryId', 'name slug')
+        .populate('authorId', 'name')
+        .lean();
+
+      const items = blogs.map((blog) => toFeedItem(blog, { fullContent }));
+
+      return format.build({
+        title: feedScope.title,
+        description: feedScope.description,
+        siteUrl: feedScope.siteUrl,
+        feedUrl: apiUrl(req, feedPath),
+        updated: items.length > 0
+          ? new Date(Math.max(...items.map((item) => item.updated.getTime())))
+          : new Date(),
+        items
+      });
+    });
+
+    res.set('Content-Type', format.contentType);
+    res.set('Cache-Control', `public, max-age=${FEED_CACHE_SECONDS}`);
+    res.send(body);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate feed',
+      error: error.message
+    });
+  }
+};
+
+// @route   GET /api/feeds/:format (rss.xml, atom.xml, feed.json)
+// @desc    Feed of the latest published blogs (?mode=full for full content, ?limit=)
+// @access  Public
+router.get('/:format', serveFeed('site'));
+
+// @route   GET /api/feeds/categories/:slug/:format
+// @desc    Feed of the latest published blogs in a category
+// @access  Public
+router.get('/categories/:slug/:format', serveFeed('category'));
+
+// @route   GET /api/feeds/authors/:id/:format
+// @desc    Feed of the latest published blogs by an author (:id is the author slug or id)
+// @access  Public
+router.get('/authors/:id/:format', serveFeed('author'));
+
+module.exports = router;
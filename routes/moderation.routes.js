@@ -0,0 +1,101 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Comment = require('../models/comment.model');
+const { authenticate, authorizeAdmin } = require('../utils/auth');
+const { emitContentEvent, toEventData } = require('../utils/events');
+const { paginationParams, paginate } = require('../utils/pagination');
+
+const router = express.Router();
+
+const MODERATION_STATUSES = ['approved', 'rejected', 'spam'];
+
+// @route   GET /api/moderation/comments
+// @desc    Get the comment moderation queue (pending by default, oldest first so it is worked in order)
+// @access  Private (Admin only)
+router.get('/comments', authenticate, authorizeAdmin, paginationParams({ sortField: 'createdAt', sortOrder: 1 }), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+
+    if (!Comment.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid comment status'
+      });
+    }
+
+    const filter = { status };
+    if (req.query.blog) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.blog)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid blog id'
+        });
+      }
+      filter.blog = req.query.blog;
+    }
+
+    const { items: comments, ...page } = await paginate(req, Comment, filter, (query) => query
+      .populate('user', 'name email')
+      .populate('blog', 'title slug')
+      .populate('parent', 'content user')
+      .lean());
+
+    res.json({
+      success: true,
+      comments,
+      ...page
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch moderation queue',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/moderation/comments/:id
+// @desc    Approve, reject or mark a comment as spam
+// @access  Private (Admin only)
+router.put('/comments/:id', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!MODERATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${MODERATION_STATUSES.join(', ')}`
+      });
+    }
+
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    comment.status = status;
+    comment.moderatedBy = req.user._id;
+    comment.moderatedAt = Date.now();
+    await comment.save();
+    await emitContentEvent('comment.moderated', { comment: toEventData(comment) });
+
+    res.json({
+      success: true,
+      comment
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to moderate comment',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
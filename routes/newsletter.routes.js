@@ -0,0 +1,315 @@
+const express = require('express');
+const Subscriber = require('../models/subscriber.model');
+const NewsletterDigest = require('../models/newsletterDigest.model');
+const { authenticate, authorizeAdmin } = require('../utils/auth');
+const { paginationParams, paginate } = require('../utils/pagination');
+const {
+  resolveCategories,
+  subscribe,
+  confirmSubscription,
+  findByUnsubscribeToken,
+  getDigestWindow,
+  findDigestPosts,
+  renderDigest,
+  sendDigest
+} = require('../utils/newsletter');
+
+const router = express.Router();
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// @route   POST /api/newsletter/subscribe
+// @desc    Sign up for the newsletter; a confirmation link is emailed (double opt-in)
+// @access  Public
+router.post('/subscribe', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !EMAIL_PATTERN.test(String(email).trim())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid email address is required'
+      });
+    }
+
+    const { categories, error } = await resolveCategories(req.body.categories);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await subscribe(email, categories);
+
+    // Same response whether or not the address is already subscribed, to avoid leaking subscribers
+    res.status(202).json({
+      success: true,
+      message: 'Please check your inbox to confirm your subscription'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to subscribe',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/newsletter/confirm
+// @desc    Confirm a subscription using the token from the confirmation email
+// @access  Public (requires a valid confirmation token)
+router.post('/confirm', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirmation token is required'
+      });
+    }
+
+    const subscriber = await confirmSubscription(token);
+
+    if (!subscriber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired confirmation token'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Subscription confirmed'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm subscription',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/newsletter/unsubscribe
+// @desc    Unsubscribe using the token from any newsletter email
+// @access  Public (requires a valid unsubscribe token)
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const { token } = req.body;
+    const subscriber = token && await findByUnsubscribeToken(token);
+
+    if (!subscriber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe token'
+      });
+    }
+
+    if (subscriber.status !== 'unsubscribed') {
+      subscriber.status = 'unsubscribed';
+      subscriber.unsubscribedAt = Date.now();
+      await subscriber.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'You have been unsubscribed'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unsubscribe',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/newsletter/preferences?token=
+// @desc    Get a subscriber's preferences using the token from any newsletter email
+// @access  Public (requires a valid unsubscribe token)
+router.get('/preferences', async (req, res) => {
+  try {
+    const subscriber = req.query.token && await findByUnsubscribeToken(req.query.token)
+      .populate('categories', 'name slug');
+
+    if (!subscriber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
+
+    res.json({
+      success: true,
+      subscriber: {
+        email: subscriber.email,
+        status: subscriber.status,
+        categories: subscriber.categories
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch preferences',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/newsletter/preferences
+// @desc    Change the categories a subscriber receives ([] for every category)
+// @access  Public (requires a valid unsubscribe token)
+router.put('/preferences', async (req, res) => {
+  try {
+    const subscriber = req.body.token && await findByUnsubscribeToken(req.body.token);
+
+    if (!subscriber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid token'
+      });
+    }
+
+    const { categories, error } = await resolveCategories(req.body.categories);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    subscriber.categories = categories;
+    await subscriber.save();
+
+    res.json({
+      success: true,
+      subscriber: {
+        email: subscriber.email,
+        status: subscriber.status,
+        categories: subscriber.categories
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update preferences',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/newsletter/subscribers
+// @desc    Get subscribers, filterable by status
+// @access  Private (Admin only)
+router.get('/subscribers', authenticate, authorizeAdmin, paginationParams({ sortField: 'createdAt', sortOrder: -1 }), async (req, res) => {
+  try {
+    const statuses = Subscriber.schema.path('status').enumValues;
+    if (req.query.status && !statuses.includes(req.query.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Supported: ${statuses.join(', ')}`
+      });
+    }
+
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const { items: subscribers, ...page } = await paginate(req, Subscriber, filter, (query) => query
+      .lean()
+      .populate('categories', 'name slug'));
+
+    res.json({
+      success: true,
+      subscribers,
+      ...page
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subscribers',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/newsletter/digest/preview
+// @desc    Preview the next digest as sent to a subscriber of every category (?format=html for the email body)
+// @access  Private (Admin only)
+router.get('/digest/preview', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const window = await getDigestWindow();
+    const posts = await findDigestPosts(window);
+    const email = renderDigest(posts);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(email.html);
+    }
+
+    res.json({
+      success: true,
+      ...window,
+      posts: posts.map(({ _id, title, slug, publishDate }) => ({ _id, title, slug, publishDate })),
+      email
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview digest',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/newsletter/digest/send
+// @desc    Send the digest of the posts published since the previous digest ({ dryRun: true } to preview)
+// @access  Private (Admin only)
+router.post('/digest/send', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const dryRun = req.body.dryRun === true;
+    const digest = await sendDigest({ dryRun });
+
+    res.json({
+      success: true,
+      dryRun,
+      digest
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send digest',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/newsletter/digests
+// @desc    Get the history of sent digests, newest first
+// @access  Private (Admin only)
+router.get('/digests', authenticate, authorizeAdmin, paginationParams({ sortField: 'until', sortOrder: -1 }), async (req, res) => {
+  try {
+    const { items: digests, ...page } = await paginate(req, NewsletterDigest, {}, (query) => query.lean());
+
+    res.json({
+      success: true,
+      digests,
+      ...page
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch digests',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+const express = require('express');
+const { authenticate } = require('../utils/auth');
+const { findVisibleBlog } = require('../utils/blogVisibility');
+const {
+  REACTION_TYPES,
+  getReactionCounts,
+  getUserReactions,
+  addReaction,
+  removeReaction
+} = require('../utils/reactions');
+
+// Mounted at /api/blogs/:id/reactions, so :id (blog id or slug) comes from the parent path
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Load the visible blog into req.blog and check the reaction type, if any
+ */
+const loadBlog = async (req, res, next) => {
+  try {
+    if (req.params.type && !REACTION_TYPES.includes(req.params.type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid reaction type. Supported: ${REACTION_TYPES.join(', ')}`
+      });
+    }
+
+    const blog = await findVisibleBlog(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    req.blog = blog;
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blog',
+      error: error.message
+    });
+  }
+};
+
+// @route   GET /api/blogs/:id/reactions
+// @desc    Get reaction counts of a blog
+// @access  Public
+router.get('/', loadBlog, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      reactionCounts: await getReactionCounts(req.blog._id)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reactions',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/blogs/:id/reactions/me
+// @desc    Get the reactions the current user gave to a blog
+// @access  Private
+router.get('/me', authenticate, loadBlog, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      reactions: await getUserReactions(req.blog._id, req.user._id)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reactions',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/blogs/:id/reactions/:type
+// @desc    React to a blog (once per reaction type; repeating is a no-op)
+// @access  Private
+router.put('/:type', authenticate, loadBlog, async (req, res) => {
+  try {
+    const added = await addReaction(req.blog._id, req.user._id, req.params.type);
+    const [reactionCounts, reactions] = await Promise.all([
+      getReactionCounts(req.blog._id),
+      getUserReactions(req.blog._id, req.user._id)
+    ]);
+
+    res.status(added ? 201 : 200).json({
+      success: true,
+      reactionCounts,
+      reactions
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add reaction',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/blogs/:id/reactions/:type
+// @desc    Remove a reaction from a blog
+// @access  Private
+router.delete('/:type', authenticate, loadBlog, async (req, res) => {
+  try {
+    await removeReaction(req.blog._id, req.user._id, req.params.type);
+    const [reactionCounts, reactions] = await Promise.all([
+      getReactionCounts(req.blog._id),
+      getUserReactions(req.blog._id, req.user._id)
+    ]);
+
+    res.json({
+      success: true,
+      reactionCounts,
+      reactions
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove reaction',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const Blog = require('../models/blog.model');
+const Revision = require('../models/revision.model');
+const { authenticate, authorize, canManageBlog } = require('../utils/auth');
+const { REVISION_FIELDS, diffSnapshots, recordRevision } = require('../utils/revisions');
+const { firePublishedHooks } = require('../utils/publishing');
+const { emitContentEvent, toEventData } = require('../utils/events');
+const { paginationParams, paginate } = require('../utils/pagination');
+
+// Mounted at /api/blogs/:id/revisions, so :id (blog id) comes from the parent path
+const router = express.Router({ mergeParams: true });
+
+// Every revision route requires edit access to the blog
+router.use(authenticate, authorize('blog:update:own', 'blog:update:any'), async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+
+    if (!blog) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blog not found'
+      });
+    }
+
+    if (!canManageBlog(req.user, blog, 'update')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view revisions of this blog'
+      });
+    }
+
+    req.blog = blog;
+    next();
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch blog',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/blogs/:id/revisions
+// @desc    Get revision history of a blog (newest first, without snapshots)
+// @access  Private (Users who can edit the blog)
+router.get('/', paginationParams({ sortField: 'version', sortOrder: -1 }), async (req, res) => {
+  try {
+    const filter = { blog: req.blog._id };
+
+    const { items: revisions, ...page } = await paginate(req, Revision, filter, (query) => query
+      .select('-snapshot')
+      .populate('editor', 'name')
+      .lean());
+
+    res.json({
+      success: true,
+      revisions,
+      ...page
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch revisions',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/blogs/:id/revisions/diff?from=1&to=2
+// @desc    Field-level diff between two revisions (defaults to the latest change)
+// @access  Private (Users who can edit the blog)
+router.get('/diff', async (req, res) => {
+  try {
+    let to = parseInt(req.query.to);
+    if (!to) {
+      const latest = await Revision.findOne({ blog: req.blog._id }).sort({ version: -1 }).select('version').lean();
+      to = latest ? latest.version : 0;
+    }
+    const from = parseInt(req.query.from) || to - 1;
+
+    const revisions = await Revision.find({
+      blog: req.blog._id,
+      version: { $in: [from, to] }
+    })
+      .populate('editor', 'name')
+      .lean();
+
+    const fromRevision = revisions.find((revision) => revision.version === from);
+    const toRevision = revisions.find((revision) => revision.version === to);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      from: { version: from, editor: fromRevision.editor, createdAt: fromRevision.createdAt },
+      to: { version: to, editor: toRevision.editor, createdAt: toRevision.createdAt },
+      changes: diffSnapshots(fromRevision.snapshot, toRevision.snapshot)
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare revisions',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/blogs/:id/revisions/:version
+// @desc    Get a single revision with its snapshot
+// @access  Private (Users who can edit the blog)
+router.get('/:version', async (req, res) => {
+  try {
+    const revision = await Revision.findOne({
+      blog: req.blog._id,
+      version: parseInt(req.params.version)
+    })
+      .populate('editor', 'name')
+      .lean();
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      revision
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch revision',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/blogs/:id/revisions/:version/restore
+// @desc    Roll a blog back to a revision (recorded as a new revision)
+// @access  Private (Users who can edit the blog)
+router.post('/:version/restore', async (req, res) => {
+  try {
+    const blog = req.blog;
+    const revision = await Revision.findOne({
+      blog: blog._id,
+      version: parseInt(req.params.version)
+    }).lean();
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const { snapshot } = revision;
+
+    // Restoring a live version requires publish permission, just like editing
+    if (snapshot.status !== 'draft' && !canManageBlog(req.user, blog, 'publish')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to publish this blog'
+      });
+    }
+
+    // The old slug may have been taken by another blog in the meantime
+    if (snapshot.slug && snapshot.slug !== blog.slug) {
+      const slugExists = await Blog.findOne({
+        slug: snapshot.slug,
+        _id: { $ne: blog._id }
+      });
+
+      if (slugExists) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot restore: the slug "${snapshot.slug}" is now used by another blog.`
+        });
+      }
+    }
+
+    const wasPublished = blog.status === 'published';
+
+    // Fields missing from the snapshot were empty at the time, so they are cleared
+    REVISION_FIELDS.forEach((field) => {
+      blog.set(field, snapshot[field]);
+    });
+
+    await blog.save();
+    const newRevision = await recordRevision(blog, {
+      editor: req.user._id,
+      restoredFrom: revision.version
+    });
+    await emitContentEvent('blog.updated', { blog: toEventData(blog) });
+    if (!wasPublished && blog.status === 'published') {
+      await firePublishedHooks(blog);
+    }
+
+    await blog.populate('author', 'name');
+    if (blog.categoryId) await blog.populate('categoryId', 'name');
+    if (blog.authorId) await blog.populate('authorId', 'name');
+
+    res.json({
+      success: true,
+      blog,
+      revision: newRevision,
+      message: `Blog restored to version ${revision.version}`
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore revision',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,196 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Blog = require('../models/blog.model');
+const Category = require('../models/category.model');
+const Author = require('../models/author.model');
+const { buildPublishedFilter } = require('../utils/blogVisibility');
+const { optimizeSearchFilter } = require('../utils/queryOptimizer');
+const { extractTerms, stripHtml, highlight } = require('../utils/highlight');
+const { parseLimit, pageInfo } = require('../utils/pagination');
+
+const router = express.Router();
+
+const MAX_LIMIT = 50;
+const SNIPPET_LENGTH = 200;
+const FACET_SIZE = 20;
+
+/**
+ * Build the search filter: published-visibility rules, the search term and the facet selections
+ * @returns {Object} - { filter, error }
+ */
+const buildSearchFilter = (query) => {
+  // Repeated or bracketed parameters (?tag=a&tag=b, ?tag[$ne]=) arrive as arrays or objects
+  const invalid = ['q', 'category', 'author', 'tag', 'year'].find((param) =>
+    query[param] !== undefined && typeof query[param] !== 'string');
+  if (invalid) return { error: `${invalid} must be a single value` };
+
+  // Short terms fall back to regex on title and excerpt so content is never scanned
+  const filter = optimizeSearchFilter(buildPublishedFilter(), query.q, ['title', 'excerpt']);
+  filter.$and = filter.$and || [];
+
+  if (query.category) {
+    if (!mongoose.Types.ObjectId.isValid(query.category)) return { error: 'Invalid category' };
+    filter.categoryId = new mongoose.Types.ObjectId(query.category);
+  }
+
+  if (query.author) {
+    if (!mongoose.Types.ObjectId.isValid(query.author)) return { error: 'Invalid author' };
+    filter.authorId = new mongoose.Types.ObjectId(query.author);
+  }
+
+  if (query.tag) {
+    filter.tags = query.tag;
+  }
+
+  if (query.year) {
+    const year = parseInt(query.year);
+    if (!year) return { error: 'Invalid year' };
+
+    const range = { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) };
+    // Old posts without a publish date are dated by their creation date, like in the year facet
+    filter.$and.push({
+      $or: [
+        { publishDate: range },
+        { publishDate: { $exists: false }, createdAt: range }
+      ]
+    });
+  }
+
+  if (filter.$and.length === 0) delete filter.$and;
+
+  return { filter };
+};
+
+/**
+ * Attach names to facet buckets of referenced documents
+ */
+const nameBuckets = async (Model, buckets, fields) => {
+  const docs = await Model.find({ _id: { $in: buckets.map((bucket) => bucket._id) } }).select(fields).lean();
+  const byId = new Map(docs.map((doc) => [String(doc._id), doc]));
+
+  return buckets
+    .filter((bucket) => byId.has(String(bucket._id)))
+    .map((bucket) => ({ ...byId.get(String(bucket._id)), count: bucket.count }));
+};
+
+// @route   GET /api/search
+// @desc    Search published blogs ranked by relevance, with facets and highlighted snippets
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : req.query.q;
+    const { filter, error } = buildSearchFilter({ ...req.query, q });
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const { limit, error: limitError } = parseLimit(req.query.limit, 10, MAX_LIMIT);
+    if (limitError) {
+      return res.status(400).json({
+        success: false,
+        message: limitError
+      });
+    }
+
+    // Text score ranking is only available when the text index is used
+    const useTextScore = Boolean(filter.$text);
+    const sortByRelevance = useTextScore && req.query.sort !== 'newest';
+
+    const [result] = await Blog.aggregate([
+      { $match: filter },
+      ...(useTextScore ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      {
+        $facet: {
+          results: [
+            { $sort: sortByRelevance ? { score: -1, publishDate: -1, _id: -1 } : { publishDate: -1, _id: -1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            {
+              $project: {
+                title: 1,
+                slug: 1,
+                excerpt: 1,
+                content: 1,
+                imageUrl: 1,
+                imageAlt: 1,
+                tags: 1,
+                publishDate: 1,
+                categoryId: 1,
+                authorId: 1,
+                ...(useTextScore && { score: 1 })
+              }
+            }
+          ],
+          total: [{ $count: 'count' }],
+          categories: [
+            { $group: { _id: '$categoryId', count: { $sum: 1 } } },
+            { $match: { _id: { $ne: null } } },
+            { $sort: { count: -1 } },
+            { $limit: FACET_SIZE }
+          ],
+          authors: [
+            { $group: { _id: '$authorId', count: { $sum: 1 } } },
+            { $match: { _id: { $ne: null } } },
+            { $sort: { count: -1 } },
+            { $limit: FACET_SIZE }
+          ],
+          tags: [
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_SIZE }
+          ],
+          years: [
+            { $group: { _id: { $year: { $ifNull: ['$publishDate', '$createdAt'] } }, count: { $sum: 1 } } },
+            { $sort: { _id: -1 } }
+          ]
+        }
+      }
+    ]).option({ maxTimeMS: 20000 });
+
+    const terms = extractTerms(q);
+    const results = await Blog.populate(result.results, [
+      { path: 'categoryId', select: 'name slug' },
+      { path: 'authorId', select: 'name' }
+    ]);
+
+    const [categories, authors] = await Promise.all([
+      nameBuckets(Category, result.categories, 'name slug'),
+      nameBuckets(Author, result.authors, 'name')
+    ]);
+
+    res.json({
+      success: true,
+      query: q,
+      results: results.map(({ content, ...blog }) => ({
+        ...blog,
+        highlights: {
+          title: highlight(blog.title, terms),
+          excerpt: highlight(blog.excerpt, terms, { snippetLength: SNIPPET_LENGTH }),
+          content: highlight(stripHtml(content), terms, { snippetLength: SNIPPET_LENGTH })
+        }
+      })),
+      facets: {
+        categories,
+        authors,
+        tags: result.tags.map(({ _id, count }) => ({ tag: _id, count })),
+        years: result.years.map(({ _id, count }) => ({ year: _id, count }))
+      },
+      ...pageInfo(req, { page, limit, totalCount: result.total.length > 0 ? result.total[0].count : 0 })
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Search failed',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require('express');
+const Blog = require('../models/blog.model');
+const Category = require('../models/category.model');
+const Author = require('../models/author.model');
+const cache = require('../utils/cache');
+const { buildPublishedFilter } = require('../utils/blogVisibility');
+const { buildSitemapIndex, buildUrlSet } = require('../utils/sitemap');
+const { getApiBase, apiUrl, blogUrl, categoryUrl, authorUrl } = require('../utils/urls');
+
+const router = express.Router();
+
+const SITEMAP_CACHE_SECONDS = parseInt(process.env.SITEMAP_CACHE_SECONDS) || 900;
+// Well below the protocol limit of 50,000 URLs per sitemap
+const POSTS_PER_SITEMAP = 10000;
+
+/**
+ * Latest update of published posts grouped by a field (categoryId or authorId)
+ * @param {String} field - Blog field to group by
+ * @returns {Array} - [{ _id, lastmod }]
+ */
+const latestPostUpdates = (field) => {
+  return Blog.aggregate([
+    { $match: buildPublishedFilter() },
+    { $group: { _id: `$${field}`, lastmod: { $max: '$updatedAt' } } }
+  ]);
+};
+
+const maxDate = (...dates) => {
+  const times = dates.filter(Boolean).map((date) => new Date(date).getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+/**
+ * Number of posts sitemaps (at least one, even without published posts)
+ * @returns {Number}
+ */
+const countPostPages = async () => {
+  const postCount = await Blog.countDocuments(buildPublishedFilter());
+  return Math.max(Math.ceil(postCount / POSTS_PER_SITEMAP), 1);
+};
+
+/**
+ * Send sitemap XML, caching the generated document
+ * @param {Function} exists - Optional check run before the cache, so requests for unknown sitemaps are never cached
+ */
+const sendSitemap = async (req, res, build, exists) => {
+  try {
+    if (exists && !(await exists())) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sitemap not found'
+      });
+    }
+
+    // Routes match case-insensitively: one cache entry per sitemap
+    const xml = await cache.wrap(`sitemaps:${getApiBase(req)}${req.path.toLowerCase()}`, SITEMAP_CACHE_SECONDS, build);
+
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.set('Cache-Control', `public, max-age=${SITEMAP_CACHE_SECONDS}`);
+    res.send(xml);
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate sitemap',
+      error: error.message
+    });
+  }
+};
+
+// @route   GET /sitemap.xml
+// @desc    Sitemap index pointing to the posts, categories and authors sitemaps
+// @access  Public
+router.get('/sitemap.xml', (req, res) => sendSitemap(req, res, async () => {
+  const [postPages, latestPost, categoryUpdates, authorUpdates] = await Promise.all([
+    countPostPages(),
+    Blog.findOne(buildPublishedFilter()).sort({ updatedAt: -1 }).select('updatedAt').lean(),
+    latestPostUpdates('categoryId'),
+    latestPostUpdates('authorId')
+  ]);
+
+  const latestCategory = await Category.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean();
+  const latestAuthor = await Author.findOne().sort({ updatedAt: -1 }).select('updatedAt').lean();
+
+  const sitemaps = Array.from({ length: postPages }, (_, index) => ({
+    loc: apiUrl(req, `/sitemaps/posts-${index + 1}.xml`),
+    lastmod: latestPost && latestPost.updatedAt
+  }));
+
+  sitemaps.push({
+    loc: apiUrl(req, '/sitemaps/categories.xml'),
+    lastmod: maxDate(latestCategory && latestCategory.updatedAt, ...categoryUpdates.map((update) => update.lastmod))
+  });
+
+  sitemaps.push({
+    loc: apiUrl(req, '/sitemaps/authors.xml'),
+    lastmod: maxDate(latestAuthor && latestAuthor.updatedAt, ...authorUpdates.map((update) => update.lastmod))
+  });
+
+  return buildSitemapIndex(sitemaps);
+}));
+
+/**
+ * Posts sitemap page, posts in a stable order
+ * @param {Number} page - Page number, starting at 1
+ * @returns {String} - XML
+ */
+const buildPostsSitemap = async (page) => {
+  const blogs = await Blog.find(buildPublishedFilter())
+    .sort({ _id: 1 }) // Stable order so posts do not move between sitemap pages
+    .skip((page - 1) * POSTS_PER_SITEMAP)
+    .limit(POSTS_PER_SITEMAP)
+    .select('slug updatedAt publishDate imageUrl imageAlt')
+    .lean();
+
+  return buildUrlSet(blogs.map((blog) => ({
+    loc: blogUrl(blog.slug),
+    lastmod: blog.updatedAt || blog.publishDate,
+    images: blog.imageUrl ? [{ loc: blog.imageUrl, caption: blog.imageAlt }] : []
+  })));
+};
+
+// @route   GET /sitemaps/posts-:page.xml
+// @desc    Published posts (drafts and scheduled posts excluded) with their images
+// @access  Public
+router.get('/sitemaps/posts-:page.xml', (req, res) => {
+  const page = /^[1-9]\d*$/.test(req.params.page) ? parseInt(req.params.page, 10) : 0;
+  const exists = async () => page > 0 &&
+    page <= await cache.wrap('sitemaps:post-pages', SITEMAP_CACHE_SECONDS, countPostPages);
+
+  return sendSitemap(req, res, () => buildPostsSitemap(page), exists);
+});
+
+// @route   GET /sitemaps/categories.xml
+// @desc    Categories that have at least one published post
+// @access  Public
+router.get('/sitemaps/categories.xml', (req, res) => sendSitemap(req, res, async () => {
+  const updates = await latestPostUpdates('categoryId');
+  const lastmodById = new Map(updates.map((update) => [String(update._id), update.lastmod]));
+
+  const categories = await Category.find({ _id: { $in: updates.map((update) => update._id) } })
+    .sort({ name: 1 })
+    .select('slug updatedAt')
+    .lean();
+
+  return buildUrlSet(categories.map((category) => ({
+    loc: categoryUrl(category.slug),
+    lastmod: maxDate(category.updatedAt, lastmodById.get(String(category._id)))
+  })));
+}));
+
+// @route   GET /sitemaps/authors.xml
+// @desc    Authors that have at least one published post
+// @access  Public
+router.get('/sitemaps/authors.xml', (req, res) => sendSitemap(req, res, async () => {
+  const updates = await latestPostUpdates('authorId');
+  const lastmodById = new Map(updates.map((update) => [String(update._id), update.lastmod]));
+
+  const authors = await Author.find({ _id: { $in: updates.map((update) => update._id) } })
+    .sort({ name: 1 })
+    .select('slug updatedAt')
+    .lean();
+
+  return buildUrlSet(authors.map((author) => ({
+    loc: authorUrl(author.slug || author._id),
+    lastmod: maxDate(author.updatedAt, lastmodById.get(String(author._id)))
+  })));
+}));
+
+module.exports = router;
@@ -0,0 +1,343 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Tag = require('../models/tag.model');
+const Blog = require('../models/blog.model');
+const { authenticate, authorize } = require('../utils/auth');
+const { buildPublishedFilter } = require('../utils/blogVisibility');
+const { emitContentEvent, toEventData } = require('../utils/events');
+const { paginationParams, paginate } = require('../utils/pagination');
+const {
+  findTagBySlug,
+  renameTag,
+  mergeTags,
+  deleteTag,
+  countPublishedPosts
+} = require('../utils/tags');
+
+const router = express.Router();
+
+/**
+ * Answer 301 when a tag was requested by an outdated slug
+ * @returns {Boolean} - True if a redirect was sent
+ */
+const redirectOutdatedSlug = (req, res, tag, suffix = '') => {
+  if (tag.slug === req.params.slug) return false;
+
+  const location = `${req.baseUrl}/${encodeURIComponent(tag.slug)}${suffix}`;
+  res.status(301).location(location).json({
+    success: true,
+    redirect: true,
+    slug: tag.slug,
+    location
+  });
+  return true;
+};
+
+// @route   GET /api/tags
+// @desc    Get all tags with their number of published posts (?q= filters by prefix)
+// @access  Public
+router.get('/', paginationParams({ sortField: 'name', sortOrder: 1, defaultLimit: 100, maxLimit: 500 }), async (req, res) => {
+  try {
+    if (req.query.q !== undefined && typeof req.query.q !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'q must be a single value'
+      });
+    }
+
+    const filter = {};
+    if (req.query.q) {
+      const prefix = Tag.slugFor(req.query.q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filter.slug = { $regex: `^${prefix}` };
+    }
+
+    const { items: tags, ...page } = await paginate(req, Tag, filter, (query) => query.lean());
+    const counts = await countPublishedPosts(tags.map((tag) => tag.name));
+
+    res.json({
+      success: true,
+      tags: tags.map((tag) => ({ ...tag, postCount: counts.get(tag.name) || 0 })),
+      ...page
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tags',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/tags/merge
+// @desc    Merge tags into a target tag across all posts (sourceIds, targetId)
+// @access  Private (Editor or Admin)
+router.post('/merge', authenticate, authorize('tag:manage'), async (req, res) => {
+  try {
+    const { sourceIds, targetId } = req.body;
+
+    if (!Array.isArray(sourceIds) || sourceIds.length === 0 || !targetId) {
+      return res.status(400).json({
+        success: false,
+        message: 'sourceIds and targetId are required'
+      });
+    }
+
+    const ids = [...sourceIds, targetId];
+    if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tag id'
+      });
+    }
+
+    if (sourceIds.some((id) => String(id) === String(targetId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tag cannot be merged into itself'
+      });
+    }
+
+    const [target, sources] = await Promise.all([
+      Tag.findById(targetId),
+      Tag.find({ _id: { $in: sourceIds } })
+    ]);
+
+    if (!target || sources.length !== new Set(sourceIds.map(String)).size) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const updatedBlogs = await mergeTags(sources, target);
+    const merged = await Tag.findById(target._id);
+
+    for (const source of sources) {
+      await emitContentEvent('tag.deleted', { tag: toEventData(source), mergedInto: merged._id });
+    }
+    await emitContentEvent('tag.updated', { tag: toEventData(merged) });
+
+    res.json({
+      success: true,
+      tag: merged,
+      updatedBlogs,
+      message: `Merged ${sources.length} tag(s) into "${merged.name}"`
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to merge tags',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/tags/:slug
+// @desc    Get a tag by slug (outdated slugs answer 301 with the canonical slug)
+// @access  Public
+router.get('/:slug', async (req, res) => {
+  try {
+    const tag = await findTagBySlug(req.params.slug);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    if (redirectOutdatedSlug(req, res, tag)) return;
+
+    const counts = await countPublishedPosts([tag.name]);
+
+    res.json({
+      success: true,
+      tag: { ...tag.toObject(), postCount: counts.get(tag.name) || 0 }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tag',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/tags/:slug/blogs
+// @desc    Get published blogs with a tag, newest first
+// @access  Public
+router.get('/:slug/blogs', paginationParams({ sortField: 'publishDate', sortOrder: -1 }), async (req, res) => {
+  try {
+    const tag = await findTagBySlug(req.params.slug);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    if (redirectOutdatedSlug(req, res, tag, '/blogs')) return;
+
+    const filter = { ...buildPublishedFilter(), tags: tag.name };
+    const { items: blogs, ...page } = await paginate(req, Blog, filter, (query) => query
+      .select('-content')
+      .populate('categoryId', 'name slug')
+      .populate('authorId', 'name')
+      .lean());
+
+    res.json({
+      success: true,
+      tag,
+      blogs,
+      ...page
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tag blogs',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/tags
+// @desc    Create a new tag
+// @access  Private (Editor or Admin)
+router.post('/', authenticate, authorize('tag:manage'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tag name is required'
+      });
+    }
+
+    // Tags are unique by normalised slug, so "AI" and "ai" are the same tag
+    const existingTag = await Tag.findOne({ slug: Tag.slugFor(name.trim()) });
+    if (existingTag) {
+      return res.status(400).json({
+        success: false,
+        message: `Tag already exists as "${existingTag.name}"`
+      });
+    }
+
+    const tag = await Tag.create({ name: name.trim(), description });
+    await emitContentEvent('tag.created', { tag: toEventData(tag) });
+
+    res.status(201).json({
+      success: true,
+      tag
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create tag',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/tags/:id
+// @desc    Update a tag; renaming it updates every post using it
+// @access  Private (Editor or Admin)
+router.put('/:id', authenticate, authorize('tag:manage'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tag name cannot be empty'
+      });
+    }
+
+    const tag = mongoose.Types.ObjectId.isValid(req.params.id) && await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    let updatedBlogs = 0;
+    const newName = name !== undefined ? String(name).trim() : tag.name;
+
+    if (newName !== tag.name) {
+      const existingTag = await Tag.findOne({
+        slug: Tag.slugFor(newName),
+        _id: { $ne: tag._id }
+      });
+
+      if (existingTag) {
+        return res.status(400).json({
+          success: false,
+          message: `Tag "${existingTag.name}" already exists. Merge the tags instead.`
+        });
+      }
+
+      if (description !== undefined) tag.description = description;
+      updatedBlogs = await renameTag(tag, newName);
+    } else if (description !== undefined) {
+      tag.description = description;
+      await tag.save();
+    }
+
+    await emitContentEvent('tag.updated', { tag: toEventData(tag) });
+
+    res.json({
+      success: true,
+      tag,
+      updatedBlogs
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tag',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/tags/:id
+// @desc    Delete a tag and remove it from every post
+// @access  Private (Editor or Admin)
+router.delete('/:id', authenticate, authorize('tag:manage'), async (req, res) => {
+  try {
+    const tag = mongoose.Types.ObjectId.isValid(req.params.id) && await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const updatedBlogs = await deleteTag(tag);
+    await emitContentEvent('tag.deleted', { tag: toEventData(tag) });
+
+    res.json({
+      success: true,
+      updatedBlogs,
+      message: 'Tag removed successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete tag',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,13 @@
 
 const express = require('express');
 const User = require('../models/user.model');
-const { authenticate, authorizeAdmin } = require('../utils/auth');
+const RefreshToken = require('../models/refreshToken.model');
+const Blog = require('../models/blog.model');
+const Bookmark = require('../models/bookmark.model');
+const { authenticate, authorizeAdmin, issueAuthTokens, ROLES } = require('../utils/auth');
+const { sendVerificationEmail } = require('../utils/authEmails');
+const { paginationParams, paginate } = require('../utils/pagination');
+const { buildPublishedFilter } = require('../utils/blogVisibility');
 
 const router = express.Router();
 
@@ -55,8 +61,24 @@ router.put('/profile', authenticate, async (req, res) => {
     if (password) {
       user.password = password;
     }
+
+    // A new email address has to be verified again
+    const emailChanged = user.isModified('email');
+    if (emailChanged) {
+      user.isEmailVerified = false;
+      user.emailVerifiedAt = undefined;
+    }
     
+    // Saving a new password revokes all existing sessions (see user model)
     const updatedUser = await user.save();
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(updatedUser);
+      } catch (mailError) {
+        console.error('Failed to send verification email:', mailError.message);
+      }
+    }
     
     res.json({
       success: true,
@@ -64,8 +86,11 @@ router.put('/profile', authenticate, async (req, res) => {
         id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
-        role: updatedUser.role
-      }
+        role: updatedUser.role,
+        isEmailVerified: updatedUser.isEmailVerified
+      },
+      // Keep the current client signed in with a fresh session
+      ...(password && (await issueAuthTokens(updatedUser, req)))
     });
   } catch (error) {
     console.error(error);
@@ -77,15 +102,51 @@ router.put('/profile', authenticate, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/me/bookmarks
+// @desc    Get the current user's bookmarked blogs, most recently saved first
+// @access  Private
+router.get('/me/bookmarks', authenticate, paginationParams({ sortField: 'createdAt', sortOrder: -1 }), async (req, res) => {
+  try {
+    // Bookmarks of posts that are no longer published stay stored but are not listed
+    const bookmarkedIds = await Bookmark.distinct('blog', { user: req.user._id });
+    const visibleIds = await Blog.distinct('_id', { $and: [buildPublishedFilter(), { _id: { $in: bookmarkedIds } }] });
+
+    const { items: bookmarks, ...page } = await paginate(req, Bookmark, { user: req.user._id, blog: { $in: visibleIds } }, (query) => query
+      .lean()
+      .populate({
+        path: 'blog',
+        select: 'title slug excerpt imageUrl imageAlt imageMetadata tags publishDate categoryId authorId readingTime reactionCounts',
+        populate: [
+          { path: 'categoryId', select: 'name slug' },
+          { path: 'authorId', select: 'name slug' }
+        ]
+      }));
+
+    res.json({
+      success: true,
+      bookmarks: bookmarks.map(({ _id, blog, createdAt }) => ({ _id, blog, bookmarkedAt: createdAt })),
+      ...page
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch bookmarks',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/users
 // @desc    Get all users (admin only)
 // @access  Private (Admin only)
-router.get('/', authenticate, authorizeAdmin, async (req, res) => {
+router.get('/', authenticate, authorizeAdmin, paginationParams({ sortField: 'createdAt', sortOrder: -1 }), async (req, res) => {
   try {
-    const users = await User.find({}).select('-password');
+    const { items: users, ...page } = await paginate(req, User, {}, (query) => query.select('-password'));
     res.json({
       success: true,
-      users
+      users,
+      ...page
     });
   } catch (error) {
     console.error(error);
@@ -97,6 +158,60 @@ router.get('/', authenticate, authorizeAdmin, async (req, res) => {
   }
 });
 
+// @route   PUT /api/users/:id/role
+// @desc    Change a user's role (admin only)
+// @access  Private (Admin only)
+router.put('/:id/role', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Prevent admin from locking themselves out
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot change your own role'
+      });
+    }
+
+    // Changing the role revokes the user's sessions (see user model)
+    user.role = role;
+    await user.save();
+
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update user role',
+      error: error.message
+    });
+  }
+});
+
 // @route   DELETE /api/users/:id
 // @desc    Delete user (admin only)
 // @access  Private (Admin only)
@@ -120,6 +235,8 @@ router.delete('/:id', authenticate, authorizeAdmin, async (req, res) => {
     }
     
     await user.deleteOne();
+    await RefreshToken.deleteMany({ user: user._id });
+    await Bookmark.deleteMany({ user: user._id });
     
     res.json({ 
       success: true,
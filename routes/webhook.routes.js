@@ -0,0 +1,340 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Webhook = require('../models/webhook.model');
+const WebhookDelivery = require('../models/webhookDelivery.model');
+const { authenticate, authorizeAdmin } = require('../utils/auth');
+const { CONTENT_EVENTS } = require('../utils/events');
+const { paginationParams, paginate } = require('../utils/pagination');
+const { generateWebhookSecret, queueDelivery, redeliver } = require('../utils/webhooks');
+
+const router = express.Router();
+
+const WEBHOOK_EVENTS = [...CONTENT_EVENTS, '*'];
+
+/**
+ * Validate the url and events of a webhook request body
+ * @returns {String|null} - Error message or null if valid
+ */
+const validateWebhook = ({ url, events }, { partial = false } = {}) => {
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return 'A valid webhook URL is required';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      return 'Webhook URL must use http or https';
+    }
+  }
+
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || events.length === 0) {
+      return 'At least one event is required';
+    }
+    const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      return `Unknown events: ${unknown.join(', ')}. Valid events: ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+// @route   GET /api/webhooks/events
+// @desc    List the events webhooks can subscribe to
+// @access  Private (Admin only)
+router.get('/events', authenticate, authorizeAdmin, (req, res) => {
+  res.json({
+    success: true,
+    events: WEBHOOK_EVENTS
+  });
+});
+
+// @route   GET /api/webhooks
+// @desc    Get all webhooks
+// @access  Private (Admin only)
+router.get('/', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      webhooks
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhooks',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/webhooks
+// @desc    Create a webhook (the signing secret is only returned in this response)
+// @access  Private (Admin only)
+router.post('/', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const { url, events, description, secret } = req.body;
+
+    const validationError = validateWebhook({ url, events });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const webhook = await Webhook.create({
+      url,
+      events,
+      description,
+      secret: secret || generateWebhookSecret(),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      webhook: webhook.toObject(),
+      message: 'Webhook created. Store the secret now, it will not be shown again.'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create webhook',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/webhooks/:id
+// @desc    Get a webhook with delivery statistics
+// @access  Private (Admin only)
+router.get('/:id', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const webhook = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await Webhook.findById(req.params.id).lean();
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const stats = await WebhookDelivery.aggregate([
+      { $match: { webhook: webhook._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      webhook,
+      deliveryStats: stats.reduce((counts, { _id, count }) => ({ ...counts, [_id]: count }), {
+        pending: 0,
+        success: 0,
+        failed: 0
+      })
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update a webhook (url, events, description, isActive; rotateSecret: true issues a new secret)
+// @access  Private (Admin only)
+router.put('/:id', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const { url, events, description, isActive, rotateSecret } = req.body;
+
+    const validationError = validateWebhook({ url, events }, { partial: true });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const webhook = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = events;
+    if (description !== undefined) webhook.description = description;
+    if (isActive !== undefined) webhook.isActive = isActive === true || isActive === 'true';
+
+    const secret = rotateSecret ? generateWebhookSecret() : null;
+    if (secret) webhook.secret = secret;
+
+    await webhook.save();
+
+    const response = webhook.toObject();
+    delete response.secret;
+
+    res.json({
+      success: true,
+      webhook: response,
+      ...(secret && { secret })
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update webhook',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook and its delivery log
+// @access  Private (Admin only)
+router.delete('/:id', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const webhook = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook removed successfully'
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete webhook',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/webhooks/:id/test
+// @desc    Send a webhook.ping event and return the delivery result
+// @access  Private (Admin only)
+router.post('/:id/test', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const webhook = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      await Webhook.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const delivery = await queueDelivery(webhook, 'webhook.ping', {
+      webhook: webhook._id,
+      message: 'Test delivery'
+    }, { wait: true });
+
+    res.json({
+      success: delivery.status === 'success',
+      delivery
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send test delivery',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Get the delivery log of a webhook (newest first, ?status= to filter)
+// @access  Private (Admin only)
+router.get('/:id/deliveries', authenticate, authorizeAdmin, paginationParams({ sortField: 'createdAt', sortOrder: -1 }), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const filter = { webhook: req.params.id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    if (req.query.event) {
+      filter.event = req.query.event;
+    }
+
+    const { items: deliveries, ...page } = await paginate(req, WebhookDelivery, filter, (query) => query.lean());
+
+    res.json({
+      success: true,
+      deliveries,
+      ...page
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch webhook deliveries',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+// @desc    Send a logged delivery again with the same payload
+// @access  Private (Admin only)
+router.post('/:id/deliveries/:deliveryId/redeliver', authenticate, authorizeAdmin, async (req, res) => {
+  try {
+    const delivery = mongoose.Types.ObjectId.isValid(req.params.id) &&
+      mongoose.Types.ObjectId.isValid(req.params.deliveryId) &&
+      await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: req.params.id });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery not found'
+      });
+    }
+
+    const newDelivery = await redeliver(delivery);
+
+    res.json({
+      success: newDelivery.status === 'success',
+      delivery: newDelivery
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to redeliver webhook',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
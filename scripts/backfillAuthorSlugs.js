@@ -0,0 +1,55 @@
+/**
+ * Give authors created before profile slugs existed a slug, so their
+ * /api/authors/slug/:slug pages and slug-based feed URLs work.
+ *
+ * Usage: npm run backfill:author-slugs [-- --dry-run]
+ *   --dry-run  List the slugs that would be assigned without writing
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Author = require('../models/author.model');
+const slugify = require('../utils/slugify');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDB();
+
+  const authors = await Author.find({ slug: { $exists: false } });
+  let updated = 0;
+
+  for (const author of authors) {
+    if (dryRun) {
+      console.log(`[dry-run] ${author.name} → ${slugify(author.name) || author._id}`);
+      continue;
+    }
+
+    try {
+      await author.save();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Names such as "Jane Doe" and "Jane-Doe" slugify alike: disambiguate with the id
+      author.slug = `${slugify(author.name)}-${String(author._id).slice(-6)}`;
+      await author.save();
+    }
+
+    updated++;
+    console.log(`${author.name} → ${author.slug}`);
+  }
+
+  console.log(dryRun
+    ? `✅ Would assign slugs to ${authors.length} author(s)`
+    : `✅ Assigned slugs to ${updated} author(s)`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Author slug backfill failed:', error);
+    process.exit(1);
+  });
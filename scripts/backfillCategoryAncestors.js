@@ -0,0 +1,66 @@
+/**
+ * Store parent and ancestors for categories created before the category
+ * hierarchy existed. Categories without a parent get an empty list.
+ *
+ * Usage: npm run backfill:category-ancestors [-- --dry-run]
+ *   --dry-run  List the ancestors that would be stored without writing
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Category = require('../models/category.model');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDB();
+
+  const categories = await Category.find().select('name parent ancestors').lean();
+  const byId = new Map(categories.map((category) => [String(category._id), category]));
+
+  // Walk up the parents; a broken chain or a cycle stops at the last valid ancestor
+  const ancestorsOf = (category) => {
+    const ancestors = [];
+    const seen = new Set([String(category._id)]);
+    let parent = category.parent && byId.get(String(category.parent));
+
+    while (parent && !seen.has(String(parent._id))) {
+      ancestors.unshift(parent._id);
+      seen.add(String(parent._id));
+      parent = parent.parent && byId.get(String(parent.parent));
+    }
+
+    return ancestors;
+  };
+
+  const operations = categories
+    .filter((category) => !Array.isArray(category.ancestors))
+    .map((category) => {
+      const ancestors = ancestorsOf(category);
+      console.log(`${dryRun ? '[dry-run] ' : ''}${category.name}: ${ancestors.length} ancestor(s)`);
+
+      return {
+        updateOne: {
+          filter: { _id: category._id },
+          // bulkWrite skips the save hook, so updatedAt keeps its editorial meaning
+          update: { $set: { ancestors, parent: category.parent || null } }
+        }
+      };
+    });
+
+  if (!dryRun && operations.length > 0) {
+    await Category.bulkWrite(operations);
+  }
+
+  console.log(`✅ ${dryRun ? 'Would store' : 'Stored'} ancestors for ${operations.length} categor${operations.length === 1 ? 'y' : 'ies'}`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Category ancestors backfill failed:', error);
+    process.exit(1);
+  });
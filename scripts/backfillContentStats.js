@@ -0,0 +1,69 @@
+/**
+ * Render contentHtml and compute wordCount, readingTime and toc for blogs
+ * saved before they were stored.
+ *
+ * Usage: npm run backfill:content-stats [-- --dry-run] [-- --force]
+ *   --dry-run  Report what would change without writing
+ *   --force    Recompute for every blog, e.g. after changing the sanitiser allowlist
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Blog = require('../models/blog.model');
+const { renderContent, analyzeContent } = require('../utils/content');
+
+const BATCH_SIZE = 200;
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const force = process.argv.includes('--force');
+
+  await connectDB();
+
+  const filter = force ? {} : { wordCount: { $exists: false } };
+  const cursor = Blog.find(filter).select('_id slug content contentFormat').lean().cursor();
+
+  let processed = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (!dryRun && operations.length > 0) {
+      await Blog.bulkWrite(operations);
+    }
+    operations = [];
+  };
+
+  for await (const blog of cursor) {
+    const contentHtml = renderContent(blog.content, blog.contentFormat);
+    const { wordCount, readingTime, toc } = analyzeContent(contentHtml);
+    processed++;
+
+    console.log(`${dryRun ? '[dry-run] ' : ''}${blog.slug}: ${wordCount} words, ${readingTime} min, ${toc.length} heading(s)`);
+
+    operations.push({
+      updateOne: {
+        filter: { _id: blog._id },
+        // bulkWrite skips the save hook, so updatedAt keeps its editorial meaning
+        update: { $set: { contentHtml, wordCount, readingTime, toc } }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  console.log(`✅ ${dryRun ? 'Would render' : 'Rendered'} content statistics for ${processed} blog(s)`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Content statistics backfill failed:', error);
+    process.exit(1);
+  });
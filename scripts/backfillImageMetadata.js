@@ -0,0 +1,68 @@
+/**
+ * Backfill imageMetadata for blogs created before it was persisted,
+ * deriving it from each blog's imageUrl.
+ *
+ * Usage: npm run backfill:image-metadata [-- --dry-run] [-- --force]
+ *   --dry-run  Report what would change without writing
+ *   --force    Recompute metadata for every blog, not only those missing it
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Blog = require('../models/blog.model');
+const { deriveImageMetadata } = require('../utils/upload');
+
+const BATCH_SIZE = 200;
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+  const force = process.argv.includes('--force');
+
+  await connectDB();
+
+  const filter = force ? {} : { imageMetadata: { $exists: false } };
+  const cursor = Blog.find(filter).select('_id slug imageUrl').lean().cursor();
+
+  let processed = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (!dryRun && operations.length > 0) {
+      await Blog.bulkWrite(operations);
+    }
+    operations = [];
+  };
+
+  for await (const blog of cursor) {
+    const imageMetadata = deriveImageMetadata(blog.imageUrl);
+    processed++;
+
+    console.log(`${dryRun ? '[dry-run] ' : ''}${blog.slug}: ${imageMetadata.cloudinaryPublicId || 'external image'} (${imageMetadata.format || 'unknown format'})`);
+
+    operations.push({
+      updateOne: {
+        filter: { _id: blog._id },
+        // bulkWrite skips the save hook, so updatedAt keeps its editorial meaning
+        update: { $set: { imageMetadata } }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  console.log(`✅ ${dryRun ? 'Would backfill' : 'Backfilled'} imageMetadata for ${processed} blog(s)`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Image metadata backfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,91 @@
+/**
+ * Create Tag documents for the free-form tags of existing blogs and rewrite
+ * each blog's tags to the canonical names ("AI", "ai" and "A.I." become one tag).
+ *
+ * Usage: npm run backfill:tags [-- --dry-run]
+ *   --dry-run  Report the tag variants that would be merged without writing
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Blog = require('../models/blog.model');
+const Tag = require('../models/tag.model');
+const { normalizeTags } = require('../utils/tags');
+
+const BATCH_SIZE = 200;
+
+const reportVariants = async () => {
+  const names = await Blog.distinct('tags');
+  const variants = new Map();
+
+  names.forEach((name) => {
+    const slug = Tag.slugFor(name);
+    variants.set(slug, [...(variants.get(slug) || []), name]);
+  });
+
+  variants.forEach((group, slug) => {
+    if (group.length > 1) {
+      console.log(`[dry-run] ${slug}: ${group.map((name) => `"${name}"`).join(', ')}`);
+    }
+  });
+
+  console.log(`✅ Would normalise ${names.length} tag name(s) into ${variants.size} tag(s)`);
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDB();
+
+  if (dryRun) {
+    await reportVariants();
+    return;
+  }
+
+  const cursor = Blog.find({ 'tags.0': { $exists: true } }).select('_id slug tags').lean().cursor();
+
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length > 0) {
+      await Blog.bulkWrite(operations);
+    }
+    operations = [];
+  };
+
+  for await (const blog of cursor) {
+    const tags = await normalizeTags(blog.tags);
+
+    if (JSON.stringify(tags) === JSON.stringify(blog.tags)) continue;
+
+    updated++;
+    console.log(`${blog.slug}: ${blog.tags.join(', ')} → ${tags.join(', ')}`);
+
+    operations.push({
+      updateOne: {
+        filter: { _id: blog._id },
+        // bulkWrite skips the save hook, so updatedAt keeps its editorial meaning
+        update: { $set: { tags } }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+
+  await flush();
+
+  console.log(`✅ Normalised tags of ${updated} blog(s); ${await Tag.countDocuments()} tag(s) in total`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Tag backfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,43 @@
+/**
+ * Convert blogs created before the `scheduled` status existed (status
+ * `published` with a future publishDate) to `scheduled`, so the publisher
+ * job publishes them and fires the post-publish hooks.
+ *
+ * Usage: npm run migrate:scheduled-status [-- --dry-run]
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const Blog = require('../models/blog.model');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDB();
+
+  const filter = { status: 'published', publishDate: { $gt: new Date() } };
+  const blogs = await Blog.find(filter).select('slug publishDate').lean();
+
+  blogs.forEach((blog) => {
+    console.log(`${dryRun ? '[dry-run] ' : ''}${blog.slug}: scheduled for ${blog.publishDate.toISOString()}`);
+  });
+
+  if (!dryRun && blogs.length > 0) {
+    await Blog.updateMany(
+      { _id: { $in: blogs.map((blog) => blog._id) } },
+      { $set: { status: 'scheduled' } }
+    );
+  }
+
+  console.log(`✅ ${dryRun ? 'Would convert' : 'Converted'} ${blogs.length} blog(s) to scheduled`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Scheduled status migration failed:', error);
+    process.exit(1);
+  });
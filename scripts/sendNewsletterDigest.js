@@ -0,0 +1,41 @@
+/**
+ * Send the newsletter digest of the posts published since the previous digest
+ * to every confirmed subscriber, e.g. from cron instead of the background job.
+ *
+ * Usage: npm run newsletter:digest [-- --dry-run]
+ *   --dry-run  Report the posts and the number of recipients without sending
+ *
+ * Set MAIL_TRANSPORT=file to write the emails to MAIL_OUTPUT_DIR instead of sending them.
+ */
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const { connectDB } = require('../utils/db');
+const { sendDigest } = require('../utils/newsletter');
+
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await connectDB();
+
+  const digest = await sendDigest({ dryRun });
+  const prefix = dryRun ? '[dry-run] ' : '';
+
+  console.log(`${prefix}Posts published ${digest.since.toISOString()} - ${digest.until.toISOString()}: ${digest.posts.length}`);
+
+  if (digest.posts.length === 0) {
+    console.log('✅ No new posts, no digest sent');
+    return;
+  }
+
+  console.log(`✅ ${dryRun ? 'Would send' : 'Sent'} the digest to ${digest.sent} subscriber(s), ${digest.skipped} without matching posts, ${digest.failed} failed`);
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Newsletter digest failed:', error);
+    process.exit(1);
+  });
@@ -3,9 +3,14 @@ const mongoose = require("mongoose");
 const cors = require("cors");
 const dotenv = require("dotenv");
 
-// Load environment variables before any other code
+// Load environment variables before any other code: local modules read settings when loaded
 dotenv.config();
 
+const { connectDB } = require("./utils/db");
+const { registerContentHooks } = require("./utils/contentHooks");
+const { registerJobs } = require("./jobs");
+const { startJobs } = require("./utils/jobRunner");
+
 // Debug MongoDB URI (without exposing sensitive information)
 const mongoURIDebug = process.env.MONGODB_URI 
   ? process.env.MONGODB_URI.replace(/:([^@]+)@/, ':****@')
@@ -18,9 +23,29 @@ const blogRoutes = require("./routes/blog.routes");
 const userRoutes = require("./routes/user.routes");
 const categoryRoutes = require("./routes/category.routes");
 const authorRoutes = require("./routes/author.routes");
+const commentRoutes = require("./routes/comment.routes");
+const moderationRoutes = require("./routes/moderation.routes");
+const revisionRoutes = require("./routes/revision.routes");
+const reactionRoutes = require("./routes/reaction.routes");
+const bookmarkRoutes = require("./routes/bookmark.routes");
+const feedRoutes = require("./routes/feed.routes");
+const sitemapRoutes = require("./routes/sitemap.routes");
+const webhookRoutes = require("./routes/webhook.routes");
+const searchRoutes = require("./routes/search.routes");
+const tagRoutes = require("./routes/tag.routes");
+const analyticsRoutes = require("./routes/analytics.routes");
+const newsletterRoutes = require("./routes/newsletter.routes");
 
 const app = express();
 
+// Content event hooks (cache purge, webhooks...)
+registerContentHooks();
+
+// Vercel (and most hosts) put one proxy in front of the API: trust it so req.ip is the client's address.
+// TRUST_PROXY sets another number of hops, or the proxy addresses/subnets to trust
+const trustProxy = process.env.TRUST_PROXY || "1";
+app.set("trust proxy", /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : trustProxy);
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: "50mb" }));
@@ -32,21 +57,35 @@ if (!process.env.MONGODB_URI) {
   process.exit(1);
 }
 
+// Feed and sitemap links are built from API_URL; in production the client-controlled Host header is never used
+if (process.env.API_URL) {
+  let apiUrl;
+  try {
+    apiUrl = new URL(process.env.API_URL);
+  } catch (error) {
+    apiUrl = null;
+  }
+  if (!apiUrl || !['http:', 'https:'].includes(apiUrl.protocol)) {
+    console.error(`API_URL is not a valid http(s) URL: ${process.env.API_URL}`);
+    process.exit(1);
+  }
+} else if (process.env.NODE_ENV === 'production') {
+  console.error('API_URL is not defined in environment variables (required in production)');
+  process.exit(1);
+}
+
 console.log('Attempting to connect to MongoDB...');
 
-// MongoDB connection options
-const mongooseOptions = {
-  serverSelectionTimeoutMS: 5000,
-  socketTimeoutMS: 45000,
-  dbName: 'blog-platform', // Specify your database name here
-  authSource: 'admin',     // Specify the authentication database
-  retryWrites: true,
-  w: 'majority'
-};
-
-mongoose.connect(process.env.MONGODB_URI, mongooseOptions)
+connectDB()
 .then(() => {
   console.log("Successfully connected to MongoDB");
+
+  // Background jobs (scheduled publishing...) run in-process only when enabled;
+  // serverless deployments use `npm run worker` or a cron hitting the API instead
+  if (process.env.RUN_JOBS === "true") {
+    registerJobs();
+    startJobs();
+  }
 })
 .catch((err) => {
   console.error("MongoDB Connection Error Details:", {
@@ -88,10 +127,22 @@ app.get("/health", (req, res) => {
 
 // Routes
 app.use("/api/auth", authRoutes);
+app.use("/api/blogs/:id/comments", commentRoutes);
+app.use("/api/blogs/:id/revisions", revisionRoutes);
+app.use("/api/blogs/:id/reactions", reactionRoutes);
+app.use("/api/blogs/:id/bookmark", bookmarkRoutes);
 app.use("/api/blogs", blogRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/categories", categoryRoutes);
 app.use("/api/authors", authorRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/moderation", moderationRoutes);
+app.use("/api/feeds", feedRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/analytics", analyticsRoutes);
+app.use("/api/newsletter", newsletterRoutes);
+app.use("/", sitemapRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const Blog = require('../models/blog.model');
+const BlogViewStat = require('../models/blogViewStat.model');
+const { startOfDay } = require('./views');
+
+/**
+ * Reports over the daily view counters (BlogViewStat)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const INTERVALS = ['day', 'week', 'month'];
+
+/**
+ * Parse ?from= and ?to= (inclusive days, UTC); defaults to the last 30 days
+ * @param {Object} query - Request query
+ * @returns {Object} - { from, to } as start-of-day dates, or { error }
+ */
+const parseDateRange = (query) => {
+  const to = startOfDay(query.to ? new Date(query.to) : new Date());
+  const from = query.from
+    ? startOfDay(new Date(query.from))
+    : new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) return { error: 'from and to must be dates' };
+  if (from > to) return { error: 'from must not be after to' };
+  if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) return { error: `The range cannot exceed ${MAX_RANGE_DAYS} days` };
+
+  return { from, to };
+};
+
+/**
+ * Match stage for a date range (and optionally one blog)
+ */
+const matchRange = ({ from, to }, blogId) => ({
+  $match: {
+    date: { $gte: from, $lte: to },
+    ...(blogId && { blog: new mongoose.Types.ObjectId(blogId) })
+  }
+});
+
+/**
+ * Lookup stage joining the document with the current _id, reduced to a projection
+ */
+const lookupById = (from, projection, as) => ({
+  $lookup: {
+    from,
+    let: { id: '$_id' },
+    pipeline: [
+      { $match: { $expr: { $eq: ['$_id', '$$id'] } } },
+      { $project: projection }
+    ],
+    as
+  }
+});
+
+/**
+ * Most viewed posts in a range
+ * @param {Object} range - { from, to }
+ * @param {Number} limit - Number of posts
+ * @returns {Array} - [{ blog: { _id, title, slug, categoryId, authorId }, views }]
+ */
+const getTopPosts = async (range, limit) => {
+  return BlogViewStat.aggregate([
+    matchRange(range),
+    { $group: { _id: '$blog', views: { $sum: '$views' } } },
+    { $sort: { views: -1, _id: 1 } },
+    { $limit: limit },
+    lookupById(Blog.collection.name, { title: 1, slug: 1, categoryId: 1, authorId: 1 }, 'blog'),
+    // Deleted posts drop out of the report
+    { $unwind: '$blog' },
+    { $project: { _id: 0, blog: 1, views: 1 } }
+  ]);
+};
+
+/**
+ * Key of the period a day belongs to
+ */
+const periodStart = (date, interval) => {
+  if (interval === 'month') return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  if (interval === 'week') {
+    // Weeks start on Monday
+    const offset = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - offset * DAY_MS);
+  }
+  return date;
+};
+
+/**
+ * Views per day, week or month in a range, with empty periods included
+ * @param {Object} range - { from, to }
+ * @param {String} interval - 'day', 'week' or 'month'
+ * @param {String} blogId - Optional blog to report on
+ * @returns {Array} - [{ date, views }] in chronological order
+ */
+const getViewsOverTime = async (range, interval, blogId) => {
+  const days = await BlogViewStat.aggregate([
+    matchRange(range, blogId),
+    { $group: { _id: '$date', views: { $sum: '$views' } } }
+  ]);
+  const viewsByDay = new Map(days.map(({ _id, views }) => [_id.getTime(), views]));
+
+  const periods = new Map();
+  for (let time = range.from.getTime(); time <= range.to.getTime(); time += DAY_MS) {
+    const key = periodStart(new Date(time), interval).getTime();
+    periods.set(key, (periods.get(key) || 0) + (viewsByDay.get(time) || 0));
+  }
+
+  return [...periods.entries()].map(([time, views]) => ({ date: new Date(time), views }));
+};
+
+/**
+ * Views in a range grouped by a blog reference (current category or author of each post)
+ * @param {Object} range - { from, to }
+ * @param {String} field - 'categoryId' or 'authorId'
+ * @param {Object} Model - Model of the referenced documents (Category or Author)
+ * @returns {Array} - [{ _id, name, slug, views, posts }]
+ */
+const getViewsBy = async (range, field, Model) => {
+  return BlogViewStat.aggregate([
+    matchRange(range),
+    { $group: { _id: '$blog', views: { $sum: '$views' } } },
+    lookupById(Blog.collection.name, { [field]: 1 }, 'blog'),
+    { $unwind: '$blog' },
+    { $group: { _id: `$blog.${field}`, views: { $sum: '$views' }, posts: { $sum: 1 } } },
+    { $sort: { views: -1 } },
+    lookupById(Model.collection.name, { name: 1, slug: 1 }, 'ref'),
+    { $unwind: { path: '$ref', preserveNullAndEmptyArrays: true } },
+    { $project: { name: '$ref.name', slug: '$ref.slug', views: 1, posts: 1 } }
+  ]);
+};
+
+module.exports = {
+  INTERVALS,
+  parseDateRange,
+  getTopPosts,
+  getViewsOverTime,
+  getViewsBy
+};
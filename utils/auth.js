@@ -1,15 +1,182 @@
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/user.model');
+const RefreshToken = require('../models/refreshToken.model');
+const UserToken = require('../models/userToken.model');
 
 // JWT secret key - in production, use environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, JWT_SECRET, {
-    expiresIn: '30d'
+// Short-lived access tokens, renewed through rotating refresh tokens
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Generate JWT access token carrying the user's current token version
+const generateAccessToken = (user) => {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Create and store a refresh token; only its hash is persisted
+const createRefreshToken = async (user, req, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    tokenVersion: user.tokenVersion || 0,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req && req.ip,
+    userAgent: req && req.get('user-agent')
+  });
+
+  return { token, record };
+};
+
+/**
+ * Issue a new access token and refresh token (a new session)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request, used to record IP and user agent
+ * @returns {Object} - { token, refreshToken, expiresIn }
+ */
+const issueAuthTokens = async (user, req) => {
+  const { token: refreshToken } = await createRefreshToken(user, req);
+
+  return {
+    token: generateAccessToken(user),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair, revoking the old refresh token.
+ * Presenting an already rotated token revokes the whole session (token reuse).
+ * @param {String} refreshToken - Refresh token sent by the client
+ * @param {Object} req - Express request
+ * @returns {Object|null} - { user, token, refreshToken, expiresIn } or null if invalid
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  // Claim the token atomically so concurrent refreshes with the same token cannot both succeed
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+  );
+
+  if (!record) {
+    const reused = await RefreshToken.findOne({ tokenHash }).select('family').lean();
+
+    if (reused) {
+      await RefreshToken.updateMany(
+        { family: reused.family, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'token_reuse' }
+      );
+    }
+    return null;
+  }
+
+  const user = await User.findById(record.user).select('-password');
+
+  if (record.expiresAt <= new Date() || !user || record.tokenVersion !== (user.tokenVersion || 0)) {
+    await RefreshToken.updateOne({ _id: record._id }, { $set: { revokedReason: 'invalid' } });
+    return null;
+  }
+
+  const { token: newRefreshToken, record: newRecord } = await createRefreshToken(user, req, record.family);
+
+  await RefreshToken.updateOne({ _id: record._id }, { $set: { replacedBy: newRecord._id } });
+
+  return {
+    user,
+    token: generateAccessToken(user),
+    refreshToken: newRefreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {String} refreshToken - Refresh token sent by the client
+ * @returns {Object|null} - The token record as it was before revoking, or null if unknown
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+
+  if (!record) {
+    return null;
+  }
+
+  await RefreshToken.updateMany(
+    { family: record.family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'logout' }
+  );
+
+  return record;
+};
+
+/**
+ * Revoke every session of a user: outstanding access tokens stop matching the
+ * token version and all refresh tokens are marked revoked
+ * @param {ObjectId} userId - User id
+ * @param {String} reason - Why the sessions were revoked
+ */
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Create a single-use token for an email flow, invalidating earlier unused ones of the same type
+ * @param {Object} user - User document
+ * @param {String} type - 'password_reset' or 'email_verification'
+ * @param {Number} ttlMinutes - Minutes until the token expires
+ * @returns {String} - Raw token to send to the user
+ */
+const createUserToken = async (user, type, ttlMinutes) => {
+  await UserToken.deleteMany({ user: user._id, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await UserToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
   });
+
+  return token;
+};
+
+/**
+ * Mark a single-use token as used if it is valid
+ * @param {String} token - Raw token received from the user
+ * @param {String} type - Expected token type
+ * @returns {Object|null} - The token record, or null if unknown, used or expired
+ */
+const consumeUserToken = async (token, type) => {
+  // Atomic update so a token can only be used once, even under concurrent requests
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
 };
 
 // Authentication middleware
@@ -38,17 +205,26 @@ const authenticate = async (req, res, next) => {
     if (!user) {
       return res.status(401).json({ message: 'User not found' });
     }
+
+    // Tokens issued before a logout-all, password change or role change are revoked
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({ message: 'Not authorized, session revoked' });
+    }
     
     // Set user to req object
     req.user = user;
     next();
   } catch (error) {
+    // Expired access tokens are expected; clients renew them via /api/auth/refresh
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Not authorized, token expired' });
+    }
     console.error(error);
     return res.status(401).json({ message: 'Not authorized, token failed' });
   }
 };
 
-// Admin authorization middleware
+// Admin authorization middleware (user management and moderation)
 const authorizeAdmin = (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
     next();
@@ -57,8 +233,96 @@ const authorizeAdmin = (req, res, next) => {
   }
 };
 
+// Editorial permissions. ":own" permissions only apply to blogs the user created
+// (blog.author), ":any" permissions apply to every blog.
+const CONTRIBUTOR_PERMISSIONS = [
+  'blog:create',
+  'blog:update:own'
+];
+
+const AUTHOR_PERMISSIONS = [
+  ...CONTRIBUTOR_PERMISSIONS,
+  'blog:publish:own',
+  'blog:delete:own'
+];
+
+const EDITOR_PERMISSIONS = [
+  ...AUTHOR_PERMISSIONS,
+  'blog:update:any',
+  'blog:publish:any',
+  'blog:delete:any',
+  'blog:viewScheduled',
+  'blog:stats',
+  'category:manage',
+  'author:manage',
+  'tag:manage'
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  contributor: CONTRIBUTOR_PERMISSIONS,
+  author: AUTHOR_PERMISSIONS,
+  editor: EDITOR_PERMISSIONS,
+  // Admin-only areas (users, moderation) are guarded by authorizeAdmin
+  admin: EDITOR_PERMISSIONS
+};
+
+/**
+ * Check whether a user's role grants a permission
+ * @param {Object} user - User document
+ * @param {String} permission - Permission name, e.g. 'blog:create'
+ * @returns {Boolean}
+ */
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+  const permissions = ROLE_PERMISSIONS[user.role] || [];
+  return permissions.includes(permission);
+};
+
+/**
+ * Check whether a user may perform an action on a specific blog
+ * @param {Object} user - User document
+ * @param {Object} blog - Blog document (author may be populated or an id)
+ * @param {String} action - 'update', 'publish' or 'delete'
+ * @returns {Boolean}
+ */
+const canManageBlog = (user, blog, action) => {
+  if (hasPermission(user, `blog:${action}:any`)) return true;
+
+  const ownerId = blog.author && blog.author._id ? blog.author._id : blog.author;
+  const isOwner = ownerId && ownerId.toString() === user._id.toString();
+
+  if (!isOwner || !hasPermission(user, `blog:${action}:own`)) return false;
+
+  // Users who cannot publish a post may only edit it while it is still a draft
+  if (action === 'update' && blog.status !== 'draft') {
+    return canManageBlog(user, blog, 'publish');
+  }
+
+  return true;
+};
+
+// Permission-based authorization middleware; passes if the user has any of the permissions
+const authorize = (...permissions) => (req, res, next) => {
+  if (permissions.some((permission) => hasPermission(req.user, permission))) {
+    next();
+  } else {
+    return res.status(403).json({ message: 'Not authorized to perform this action' });
+  }
+};
+
 module.exports = {
   authenticate,
+  authorize,
   authorizeAdmin,
-  generateToken
+  hasPermission,
+  canManageBlog,
+  generateAccessToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllSessions,
+  createUserToken,
+  consumeUserToken,
+  ROLES: Object.keys(ROLE_PERMISSIONS)
 };
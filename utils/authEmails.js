@@ -0,0 +1,53 @@
+const { sendMail } = require('./mailer');
+const { createUserToken } = require('./auth');
+const { siteUrl } = require('./urls');
+
+/**
+ * Emails sent by the authentication flows
+ */
+
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 60;
+const EMAIL_VERIFICATION_EXPIRES_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 48;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Send an email asking the user to confirm their address
+ * @param {Object} user - User document
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user, 'email_verification', EMAIL_VERIFICATION_EXPIRES_HOURS * 60);
+  const link = siteUrl('/verify-email', { token });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_EXPIRES_HOURS} hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by clicking the link below:</p><p><a href="${escapeHtml(link)}">Confirm email address</a></p><p>The link expires in ${EMAIL_VERIFICATION_EXPIRES_HOURS} hours.</p>`
+  });
+};
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User document
+ */
+const sendPasswordResetEmail = async (user) => {
+  const token = await createUserToken(user, 'password_reset', PASSWORD_RESET_EXPIRES_MINUTES);
+  const link = siteUrl('/reset-password', { token });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nSomeone requested a password reset for your account. Open this link to choose a new password:\n${link}\n\nThe link expires in ${PASSWORD_RESET_EXPIRES_MINUTES} minutes and can only be used once. If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone requested a password reset for your account. Click the link below to choose a new password:</p><p><a href="${escapeHtml(link)}">Reset password</a></p><p>The link expires in ${PASSWORD_RESET_EXPIRES_MINUTES} minutes and can only be used once. If you did not request this, you can ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
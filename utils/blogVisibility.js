@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const Blog = require('../models/blog.model');
+
+/**
+ * Utility functions deciding which blogs readers are allowed to see
+ */
+
+/**
+ * Builds the filter for blogs readers can see in listings: published with a
+ * publish date that has passed (same rules as GET /api/blogs/published)
+ * @param {Date} currentDate - Date to compare the publish date against
+ * @returns {Object} - MongoDB filter
+ */
+const buildPublishedFilter = (currentDate = new Date()) => {
+  return {
+    status: 'published',
+    $or: [
+      { publishDate: { $lte: currentDate } },
+      { publishDate: { $exists: false } } // For backward compatibility with old posts
+    ]
+  };
+};
+
+/**
+ * Checks whether a blog is scheduled (scheduled status, or published with a future publish date)
+ * @param {Object} blog - Blog document or plain object
+ * @param {Date} currentDate - Date to compare the publish date against
+ * @returns {Boolean} - True if the blog must stay hidden until its publish date
+ */
+const isScheduled = (blog, currentDate = new Date()) => {
+  return blog.status === 'scheduled' ||
+    (blog.status === 'published' && blog.publishDate > currentDate);
+};
+
+/**
+ * Finds a blog by id, slug or previous slug, applying the same visibility rules as
+ * GET /api/blogs/slug/:slug (scheduled blogs are treated as not found)
+ * @param {String} idOrSlug - Blog ObjectId or slug
+ * @param {String} select - Optional extra fields to select
+ * @returns {Object|null} - Lean blog object or null if not found / not visible
+ */
+const findVisibleBlog = async (idOrSlug, select = '') => {
+  const filter = mongoose.Types.ObjectId.isValid(idOrSlug)
+    ? { $or: [{ _id: idOrSlug }, { slug: idOrSlug }] }
+    : { slug: idOrSlug };
+
+  const fields = `_id slug status publishDate ${select}`.trim();
+
+  // Fall back to the slug history so links using an outdated slug keep working
+  const blog = await Blog.findOne(filter).select(fields).lean() ||
+    await Blog.findByPreviousSlug(idOrSlug, fields);
+
+  if (!blog || isScheduled(blog)) {
+    return null;
+  }
+
+  return blog;
+};
+
+module.exports = {
+  buildPublishedFilter,
+  isScheduled,
+  findVisibleBlog
+};
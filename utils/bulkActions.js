@@ -0,0 +1,325 @@
+const mongoose = require('mongoose');
+const Blog = require('../models/blog.model');
+const Category = require('../models/category.model');
+const Comment = require('../models/comment.model');
+const Revision = require('../models/revision.model');
+const Reaction = require('../models/reaction.model');
+const Bookmark = require('../models/bookmark.model');
+const Tag = require('../models/tag.model');
+const { canManageBlog } = require('./auth');
+const { takeSnapshot, diffSnapshots, recordRevision, ensureBaselineRevision } = require('./revisions');
+const { emitContentEvent, toEventData } = require('./events');
+const { normalizeTags, findTagBySlug } = require('./tags');
+const { cloudinary } = require('./upload');
+
+/**
+ * Bulk editing of blog posts (POST /api/blogs/bulk).
+ *
+ * Changes are applied in a MongoDB transaction when the deployment supports them
+ * (replica set or sharded cluster): either every post is written or none is.
+ * On a standalone server each post is written on its own and failures are reported per post.
+ */
+
+const MAX_BULK_ITEMS = 500;
+
+// Blog filter fields accepted instead of a list of ids
+const FILTER_FIELDS = ['status', 'categoryId', 'authorId', 'tag', 'isFeatured'];
+
+/**
+ * Bulk actions: the permission checked on each post and how the post is changed
+ * (apply returns an error message when the change is not possible for that post)
+ */
+const ACTIONS = {
+  setCategory: {
+    permission: 'update',
+    apply: (blog, { category }) => { blog.categoryId = category._id; }
+  },
+  addTags: {
+    permission: 'update',
+    apply: (blog, { tags }) => { blog.tags = [...new Set([...blog.tags, ...tags])]; }
+  },
+  removeTags: {
+    permission: 'update',
+    apply: (blog, { tags }) => {
+      const remaining = blog.tags.filter((tag) => !tags.includes(tag));
+      if (remaining.length === 0) return 'At least one tag is required';
+      blog.tags = remaining;
+    }
+  },
+  feature: {
+    permission: 'update',
+    apply: (blog) => { blog.isFeatured = true; }
+  },
+  unfeature: {
+    permission: 'update',
+    apply: (blog) => { blog.isFeatured = false; }
+  },
+  unpublish: {
+    permission: 'publish',
+    // Scheduled posts are unscheduled too, like DELETE /api/blogs/:id/schedule
+    apply: (blog) => { blog.status = 'draft'; }
+  },
+  delete: {
+    permission: 'delete'
+  }
+};
+
+const BULK_ACTIONS = Object.keys(ACTIONS);
+
+/**
+ * Build the query selecting the posts of a bulk request
+ * @param {Object} body - { ids } or { filter }
+ * @returns {Object} - { query } or { error }
+ */
+const buildSelection = ({ ids, filter }) => {
+  if (Array.isArray(ids)) {
+    if (ids.length === 0) return { error: 'ids must not be empty' };
+    if (ids.length > MAX_BULK_ITEMS) return { error: `At most ${MAX_BULK_ITEMS} posts can be changed at once` };
+    if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) return { error: 'Invalid blog id' };
+
+    return { query: { _id: { $in: ids } } };
+  }
+
+  if (filter && typeof filter === 'object') {
+    const unknown = Object.keys(filter).filter((field) => !FILTER_FIELDS.includes(field));
+    if (unknown.length > 0) return { error: `Unsupported filter fields: ${unknown.join(', ')}. Supported: ${FILTER_FIELDS.join(', ')}` };
+    if (Object.keys(filter).length === 0) return { error: 'filter must not be empty' };
+
+    for (const field of ['categoryId', 'authorId']) {
+      if (filter[field] !== undefined && !mongoose.Types.ObjectId.isValid(filter[field])) {
+        return { error: `Invalid ${field}` };
+      }
+    }
+
+    const { tag, isFeatured, ...fields } = filter;
+    return {
+      query: {
+        ...fields,
+        ...(tag !== undefined && { tags: tag }),
+        ...(isFeatured !== undefined && { isFeatured: isFeatured === true || isFeatured === 'true' })
+      }
+    };
+  }
+
+  return { error: 'Either ids or filter is required' };
+};
+
+/**
+ * Canonical names tags would get from normalizeTags(), without creating missing tags
+ */
+const previewTags = async (names) => {
+  const tags = [];
+
+  for (const name of names) {
+    const tag = await findTagBySlug(Tag.slugFor(name));
+    const canonical = tag ? tag.name : name;
+    if (!tags.includes(canonical)) tags.push(canonical);
+  }
+
+  return tags;
+};
+
+/**
+ * Validate and resolve the parameters of an action
+ * @param {String} action - One of BULK_ACTIONS
+ * @param {Object} params - Request parameters ({ categoryId } or { tags })
+ * @param {Boolean} dryRun - Resolve without creating anything
+ * @returns {Object} - { params } or { error }
+ */
+const resolveParams = async (action, params = {}, dryRun = false) => {
+  if (action === 'setCategory') {
+    const category = mongoose.Types.ObjectId.isValid(params.categoryId) &&
+      await Category.findById(params.categoryId).select('name').lean();
+    if (!category) return { error: 'Category not found' };
+
+    return { params: { category } };
+  }
+
+  if (action === 'addTags' || action === 'removeTags') {
+    const names = Array.isArray(params.tags)
+      ? params.tags
+      : String(params.tags || '').split(',');
+    const tags = names.map((tag) => String(tag).trim()).filter(Boolean);
+    if (tags.length === 0) return { error: 'At least one tag is required' };
+
+    // Tags are added under their canonical names; removal matches the names stored on posts
+    if (action === 'removeTags') return { params: { tags } };
+
+    return { params: { tags: dryRun ? await previewTags(tags) : await normalizeTags(tags) } };
+  }
+
+  return { params: {} };
+};
+
+let transactionSupport;
+
+/**
+ * Check whether the connected deployment supports transactions (standalone servers do not)
+ * @returns {Boolean}
+ */
+const supportsTransactions = async () => {
+  if (transactionSupport === undefined) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  }
+  return transactionSupport;
+};
+
+/**
+ * Write one planned item
+ */
+const writeItem = async (item, session) => {
+  if (item.outcome === 'deleted') {
+    await item.blog.deleteOne({ session });
+    await Comment.deleteMany({ blog: item.blog._id }, { session });
+    await Revision.deleteMany({ blog: item.blog._id }, { session });
+    await Reaction.deleteMany({ blog: item.blog._id }, { session });
+    await Bookmark.deleteMany({ blog: item.blog._id }, { session });
+  } else {
+    await item.blog.save({ session });
+  }
+};
+
+/**
+ * Write the planned items, in one transaction when possible
+ * @returns {Boolean} - Whether a transaction was used
+ */
+const writeItems = async (items) => {
+  if (!await supportsTransactions()) {
+    for (const item of items) {
+      try {
+        await writeItem(item);
+      } catch (error) {
+        item.outcome = 'failed';
+        item.error = error.message;
+      }
+    }
+    return false;
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    session.startTransaction();
+    for (const item of items) {
+      await writeItem(item, session);
+    }
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    // Nothing was written: report the whole batch as failed
+    items.forEach((item) => {
+      item.outcome = 'failed';
+      item.error = `Rolled back: ${error.message}`;
+    });
+  } finally {
+    await session.endSession();
+  }
+  return true;
+};
+
+/**
+ * Run a bulk action on the selected posts
+ * @param {Object} options
+ * @param {Object} options.query - Blog filter from buildSelection()
+ * @param {String} options.action - One of BULK_ACTIONS
+ * @param {Object} options.params - Parameters from resolveParams()
+ * @param {Object} options.user - User performing the action
+ * @param {Boolean} options.dryRun - Report what would change without writing
+ * @returns {Object} - { error } if too many posts match, otherwise { transactional, summary, results }
+ */
+const runBulkAction = async ({ query, action, params, user, dryRun = false }) => {
+  const { permission, apply } = ACTIONS[action];
+
+  const blogs = await Blog.find(query).sort({ createdAt: -1 }).limit(MAX_BULK_ITEMS + 1);
+  if (blogs.length > MAX_BULK_ITEMS) {
+    return { error: `The filter matches more than ${MAX_BULK_ITEMS} posts; narrow it down` };
+  }
+
+  // Plan every change first so a dry run reports exactly what a real run would do
+  const items = [];
+  for (const blog of blogs) {
+    const item = { blog, outcome: 'unchanged', changes: [] };
+    items.push(item);
+
+    if (!canManageBlog(user, blog, permission)) {
+      item.outcome = 'forbidden';
+      continue;
+    }
+
+    if (!apply) {
+      item.outcome = 'deleted';
+      continue;
+    }
+
+    // Keep the pre-edit state of posts created before revision history existed
+    if (!dryRun) await ensureBaselineRevision(blog);
+
+    const before = takeSnapshot(blog);
+    const error = apply(blog, params);
+    if (error) {
+      item.outcome = 'failed';
+      item.error = error;
+      continue;
+    }
+
+    item.changes = diffSnapshots(before, takeSnapshot(blog));
+    if (item.changes.length === 0) continue;
+
+    try {
+      await blog.validate();
+      item.outcome = 'updated';
+    } catch (validationError) {
+      item.outcome = 'failed';
+      item.error = validationError.message;
+    }
+  }
+
+  const pending = items.filter((item) => ['updated', 'deleted'].includes(item.outcome));
+  let transactional = false;
+
+  if (!dryRun && pending.length > 0) {
+    transactional = await writeItems(pending);
+
+    // Side effects only once the writes are final
+    for (const item of pending) {
+      if (item.outcome === 'updated') {
+        await recordRevision(item.blog, { editor: user._id });
+        await emitContentEvent('blog.updated', { blog: toEventData(item.blog) });
+      } else if (item.outcome === 'deleted') {
+        const publicId = item.blog.imageMetadata && item.blog.imageMetadata.cloudinaryPublicId;
+        if (publicId) {
+          try {
+            await cloudinary.uploader.destroy(publicId);
+          } catch (error) {
+            console.warn('Could not delete Cloudinary image:', error.message);
+          }
+        }
+        await emitContentEvent('blog.deleted', { blog: toEventData(item.blog) });
+      }
+    }
+  }
+
+  const results = items.map(({ blog, outcome, changes, error }) => ({
+    _id: blog._id,
+    title: blog.title,
+    slug: blog.slug,
+    outcome,
+    ...(changes.length > 0 && { changes }),
+    ...(error && { error })
+  }));
+
+  const summary = results.reduce((counts, { outcome }) => {
+    counts[outcome] = (counts[outcome] || 0) + 1;
+    return counts;
+  }, { matched: results.length });
+
+  return { transactional, summary, results };
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_ITEMS,
+  buildSelection,
+  resolveParams,
+  runBulkAction
+};
@@ -0,0 +1,128 @@
+const CacheVersion = require('../models/cacheVersion.model');
+
+/**
+ * Minimal in-memory TTL cache for computed responses (feeds, sitemaps...).
+ * Each process keeps its own copy. Purges go through invalidate(), which also bumps a
+ * version stamp per namespace (key prefix up to the first ':') in MongoDB; wrap() checks
+ * that stamp, so a purge in one process (e.g. the worker publishing a post) reaches all of them.
+ */
+
+// How long a process trusts the version stamps it read before checking again
+const VERSION_CHECK_MS = parseInt(process.env.CACHE_VERSION_CHECK_MS) || 5000;
+
+const store = new Map();
+const versions = new Map();
+
+/**
+ * Get a cached value
+ * @param {String} key - Cache key
+ * @returns {*} - Cached value, or undefined if missing or expired
+ */
+const get = (key) => {
+  const entry = store.get(key);
+  if (!entry) return undefined;
+
+  if (entry.expiresAt <= Date.now()) {
+    store.delete(key);
+    return undefined;
+  }
+
+  return entry.value;
+};
+
+/**
+ * Store a value
+ * @param {String} key - Cache key
+ * @param {*} value - Value to cache
+ * @param {Number} ttlSeconds - Time to live in seconds
+ */
+const set = (key, value, ttlSeconds, version) => {
+  store.set(key, { value, version, expiresAt: Date.now() + ttlSeconds * 1000 });
+};
+
+/**
+ * Remove every entry whose key starts with a prefix
+ * @param {String} prefix - Key prefix, e.g. 'feeds:'
+ * @returns {Number} - Number of removed entries
+ */
+const delByPrefix = (prefix) => {
+  let removed = 0;
+  for (const key of store.keys()) {
+    if (key.startsWith(prefix)) {
+      store.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+};
+
+/**
+ * Namespace of a cache key or prefix: everything up to the first ':'
+ */
+const namespaceOf = (key) => key.slice(0, key.indexOf(':') + 1) || key;
+
+/**
+ * Current version stamp of a namespace, read from MongoDB at most every VERSION_CHECK_MS
+ * @param {String} namespace - e.g. 'feeds:'
+ * @returns {Number}
+ */
+const getVersion = async (namespace) => {
+  const known = versions.get(namespace);
+  if (known && Date.now() - known.checkedAt < VERSION_CHECK_MS) return known.version;
+
+  try {
+    const stamp = await CacheVersion.findById(namespace).lean();
+    const version = stamp ? stamp.version : 0;
+    versions.set(namespace, { version, checkedAt: Date.now() });
+    return version;
+  } catch (error) {
+    // Without the stamp, entries still expire with their TTL
+    console.warn(`Could not read the cache version of ${namespace}:`, error.message);
+    return known ? known.version : 0;
+  }
+};
+
+/**
+ * Purge entries in every process: remove them here and bump the namespace's version stamp
+ * @param {String} prefix - Key prefix, e.g. 'feeds:' (other processes drop the whole namespace)
+ */
+const invalidate = async (prefix) => {
+  delByPrefix(prefix);
+
+  const namespace = namespaceOf(prefix);
+  const stamp = await CacheVersion.findOneAndUpdate(
+    { _id: namespace },
+    { $inc: { version: 1 }, $set: { updatedAt: new Date() } },
+    { upsert: true, new: true }
+  ).lean();
+  versions.set(namespace, { version: stamp.version, checkedAt: Date.now() });
+};
+
+/**
+ * Return the cached value for a key, computing and caching it on a miss or when
+ * the namespace was invalidated since the value was computed
+ * @param {String} key - Cache key
+ * @param {Number} ttlSeconds - Time to live in seconds
+ * @param {Function} compute - Async function producing the value
+ * @returns {*} - Cached or freshly computed value
+ */
+const wrap = async (key, ttlSeconds, compute) => {
+  const version = await getVersion(namespaceOf(key));
+
+  const cached = get(key);
+  if (cached !== undefined && store.get(key).version === version) return cached;
+
+  const value = await compute();
+  set(key, value, ttlSeconds, version);
+  return value;
+};
+
+module.exports = {
+  get,
+  set,
+  del: (key) => store.delete(key),
+  delByPrefix,
+  invalidate,
+  clear: () => store.clear(),
+  wrap
+};
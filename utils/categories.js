@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Category = require('../models/category.model');
+const Blog = require('../models/blog.model');
+const Subscriber = require('../models/subscriber.model');
+
+/**
+ * Utility functions for the category hierarchy (sections and sub-sections)
+ */
+
+/**
+ * Check that a category can be placed under a parent
+ * @param {Object} category - Category document (new or existing)
+ * @param {String|null} parentId - Parent category id, or null for a top-level category
+ * @returns {String|null} - Error message or null if valid
+ */
+const checkParent = async (category, parentId) => {
+  if (!parentId) return null;
+
+  if (!mongoose.Types.ObjectId.isValid(parentId)) return 'Invalid parent category';
+
+  const parent = await Category.findById(parentId).select('ancestors').lean();
+  if (!parent) return 'Parent category not found';
+
+  if (parent._id.equals(category._id) || (parent.ancestors || []).some((id) => id.equals(category._id))) {
+    return 'A category cannot be moved under itself or one of its subcategories';
+  }
+
+  return null;
+};
+
+/**
+ * Get the ids of a category and all of its subcategories
+ * @param {Object} categoryId - Category ObjectId
+ * @returns {Array} - ObjectIds, the category itself first
+ */
+const getSubtreeIds = async (categoryId) => {
+  const descendants = await Category.find({ ancestors: categoryId }).select('_id').lean();
+  return [categoryId, ...descendants.map((descendant) => descendant._id)];
+};
+
+/**
+ * Nest categories into a tree, siblings sorted by name
+ * @param {Array} categories - Lean categories with parent
+ * @returns {Array} - Top-level categories, each with a `children` array
+ */
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map((category) => [String(category._id), { ...category, children: [] }]));
+  const roots = [];
+
+  nodes.forEach((node) => {
+    const parent = node.parent && nodes.get(String(node.parent));
+    (parent ? parent.children : roots).push(node);
+  });
+
+  const sortByName = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    list.forEach((node) => sortByName(node.children));
+    return list;
+  };
+
+  return sortByName(roots);
+};
+
+/**
+ * Build the breadcrumb trail of a category, from the top-level section down to the category
+ * @param {Object} category - Category with _id, name, slug and ancestors
+ * @returns {Array} - [{ _id, name, slug }]
+ */
+const buildBreadcrumbs = async (category) => {
+  if (!category) return [];
+
+  const ancestors = await Category.find({ _id: { $in: category.ancestors || [] } })
+    .select('name slug')
+    .lean();
+  const byId = new Map(ancestors.map((ancestor) => [String(ancestor._id), ancestor]));
+
+  return [
+    ...(category.ancestors || []).map((id) => byId.get(String(id))).filter(Boolean),
+    { _id: category._id, name: category.name, slug: category.slug }
+  ];
+};
+
+/**
+ * Delete a category, moving its posts and subcategories elsewhere first
+ * @param {Object} category - Category document
+ * @param {Object} options
+ * @param {Object|null} options.postsTarget - Category receiving the posts (required if there are any)
+ * @param {Object|null} options.childrenTarget - New parent of the subcategories (null moves them to the top level)
+ * @returns {Object} - { reassignedPosts, reassignedChildren }
+ */
+const deleteCategory = async (category, { postsTarget = null, childrenTarget = null } = {}) => {
+  const children = await Category.find({ parent: category._id });
+
+  for (const child of children) {
+    child.parent = childrenTarget ? childrenTarget._id : null;
+    await child.save();
+  }
+
+  let reassignedPosts = 0;
+  if (postsTarget) {
+    // updateMany skips the save hook, so updatedAt keeps its editorial meaning
+    const result = await Blog.updateMany({ categoryId: category._id }, { $set: { categoryId: postsTarget._id } });
+    reassignedPosts = result.modifiedCount;
+  }
+
+  // Newsletter subscribers follow the posts to their new category
+  await Subscriber.updateMany(
+    { categories: category._id },
+    postsTarget
+      ? { $set: { 'categories.$': postsTarget._id } }
+      : { $pull: { categories: category._id } }
+  );
+
+  await category.deleteOne();
+
+  return {
+    reassignedPosts,
+    reassignedChildren: children.length
+  };
+};
+
+module.exports = {
+  checkParent,
+  getSubtreeIds,
+  buildCategoryTree,
+  buildBreadcrumbs,
+  deleteCategory
+};
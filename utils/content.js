@@ -0,0 +1,151 @@
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const slugify = require('./slugify');
+const { stripHtml } = require('./highlight');
+
+/**
+ * Rendering of blog content: markdown is converted to HTML, and every post's HTML is
+ * sanitised against an allowlist before it is served to readers. Reading statistics
+ * and the table of contents are derived from the rendered HTML.
+ */
+
+const CONTENT_FORMATS = ['html', 'markdown'];
+
+// Average adult reading speed used for reading time estimates
+const WORDS_PER_MINUTE = 200;
+
+// Embedded players allowed in posts
+const IFRAME_HOSTNAMES = ['www.youtube.com', 'www.youtube-nocookie.com', 'player.vimeo.com'];
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'img', 'picture', 'source', 'iframe', 'video', 'audio', 'del', 'ins'
+  ],
+  allowedAttributes: {
+    a: ['href', 'name', 'target', 'rel', 'title'],
+    img: ['src', 'srcset', 'sizes', 'alt', 'title', 'width', 'height', 'loading'],
+    source: ['src', 'srcset', 'type', 'media'],
+    iframe: ['src', 'width', 'height', 'title', 'allow', 'allowfullscreen', 'frameborder'],
+    video: ['src', 'poster', 'controls', 'width', 'height'],
+    audio: ['src', 'controls'],
+    code: ['class'],
+    pre: ['class'],
+    td: ['align', 'colspan', 'rowspan'],
+    th: ['align', 'colspan', 'rowspan', 'scope'],
+    ol: ['start'],
+    '*': ['id']
+  },
+  allowedClasses: {
+    // Syntax highlighting hints from fenced code blocks
+    code: ['language-*'],
+    pre: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedIframeHostnames: IFRAME_HOSTNAMES,
+  transformTags: {
+    // Links opening a new tab must not get access to the opener
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.target === '_blank' ? { ...attribs, rel: 'noopener noreferrer' } : attribs
+    })
+  }
+};
+
+/**
+ * Give every heading an id (from its text, made unique within the post) so sections can be linked to
+ * @param {String} html - Sanitised HTML
+ * @returns {String} - HTML with an id on each h1-h6
+ */
+const addHeadingAnchors = (html) => {
+  const used = new Set();
+
+  // Ids the author set explicitly are kept and reserved first
+  html.replace(/<h[1-6][^>]*\sid="([^"]*)"/gi, (match, id) => used.add(id));
+
+  return html.replace(/<(h[1-6])([^>]*)>([\s\S]*?)<\/\1>/gi, (match, tag, attributes, inner) => {
+    if (/\sid="/i.test(attributes)) return match;
+
+    const base = slugify(stripHtml(inner)) || 'section';
+    let id = base;
+    for (let suffix = 2; used.has(id); suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    used.add(id);
+
+    return `<${tag}${attributes} id="${id}">${inner}</${tag}>`;
+  });
+};
+
+/**
+ * Render blog content to the sanitised HTML served to readers
+ * @param {String} source - Content as written by the author
+ * @param {String} format - 'markdown' or 'html'
+ * @returns {String} - Sanitised HTML with heading anchors
+ */
+const renderContent = (source, format = 'html') => {
+  const html = format === 'markdown'
+    ? marked.parse(String(source || ''), { gfm: true, async: false })
+    : String(source || '');
+
+  return addHeadingAnchors(sanitizeHtml(html, SANITIZE_OPTIONS));
+};
+
+/**
+ * Compute the reading statistics and heading outline of rendered content
+ * @param {String} html - Rendered HTML from renderContent()
+ * @returns {Object} - { wordCount, readingTime (minutes, at least 1), toc: [{ level, text, id }] }
+ */
+const analyzeContent = (html) => {
+  const text = stripHtml(html);
+  const wordCount = text ? text.split(' ').length : 0;
+
+  const toc = [];
+  const headingPattern = /<h([1-6])[^>]*\sid="([^"]*)"[^>]*>([\s\S]*?)<\/h\1>/gi;
+  let match;
+  while ((match = headingPattern.exec(html)) !== null) {
+    toc.push({ level: Number(match[1]), text: stripHtml(match[3]), id: match[2] });
+  }
+
+  return {
+    wordCount,
+    readingTime: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)),
+    toc
+  };
+};
+
+/**
+ * Build the reading time part of a list filter from ?minReadingTime= and ?maxReadingTime= (minutes)
+ * @param {Object} query - Request query
+ * @returns {Object} - { filter } (empty when no bound is given) or { error }
+ */
+const buildReadingTimeFilter = (query) => {
+  const range = {};
+
+  for (const [param, operator] of [['minReadingTime', '$gte'], ['maxReadingTime', '$lte']]) {
+    if (query[param] === undefined) continue;
+
+    const minutes = Number(query[param]);
+    if (!Number.isFinite(minutes) || minutes < 0) return { error: `${param} must be a number of minutes` };
+    range[operator] = minutes;
+  }
+
+  return { filter: Object.keys(range).length > 0 ? { readingTime: range } : {} };
+};
+
+/**
+ * Rendered HTML of a blog, rendering on the fly for posts saved before rendering existed
+ * @param {Object} blog - Blog with content, contentFormat and contentHtml
+ * @returns {String} - Sanitised HTML
+ */
+const getContentHtml = (blog) => {
+  return blog.contentHtml || renderContent(blog.content, blog.contentFormat);
+};
+
+module.exports = {
+  CONTENT_FORMATS,
+  renderContent,
+  analyzeContent,
+  buildReadingTimeFilter,
+  getContentHtml
+};
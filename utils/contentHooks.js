@@ -0,0 +1,55 @@
+const cache = require('./cache');
+const { onContentEvent } = require('./events');
+const { queueWebhookDeliveries } = require('./webhooks');
+
+/**
+ * Built-in reactions to content lifecycle events
+ */
+
+// Events that change what feeds and sitemaps contain
+const FEED_EVENTS = [
+  'blog.published',
+  'blog.updated',
+  'blog.deleted',
+  'category.updated',
+  'category.deleted',
+  'author.updated',
+  'author.deleted',
+  'tag.updated',
+  'tag.deleted'
+];
+
+let registered = false;
+
+/**
+ * Register the built-in hooks once per process
+ */
+const registerContentHooks = () => {
+  if (registered) return;
+  registered = true;
+
+  // Content changes must show up in feeds and sitemaps right away, also when the worker makes them
+  FEED_EVENTS.forEach((event) => {
+    onContentEvent(event, () => Promise.all([
+      cache.invalidate('feeds:'),
+      cache.invalidate('sitemaps:')
+    ]));
+  });
+
+  // Any post change can alter the related posts of other posts
+  ['blog.published', 'blog.updated', 'blog.deleted', 'tag.updated', 'tag.deleted'].forEach((event) => {
+    onContentEvent(event, () => cache.invalidate('related:'));
+  });
+
+  // Unpublished or deleted posts leave the popular/trending rails right away
+  ['blog.updated', 'blog.deleted'].forEach((event) => {
+    onContentEvent(event, () => cache.invalidate('rankings:'));
+  });
+
+  // Notify subscribed webhooks of every event
+  onContentEvent('*', (payload, event) => queueWebhookDeliveries(event, payload));
+};
+
+module.exports = {
+  registerContentHooks
+};
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// MongoDB connection options shared by the API server and maintenance scripts
+const mongooseOptions = {
+  serverSelectionTimeoutMS: 5000,
+  socketTimeoutMS: 45000,
+  dbName: 'blog-platform', // Specify your database name here
+  authSource: 'admin',     // Specify the authentication database
+  retryWrites: true,
+  w: 'majority'
+};
+
+/**
+ * Connect to MongoDB using MONGODB_URI
+ * @returns {Promise} - Resolves with the mongoose instance once connected
+ */
+const connectDB = () => {
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not defined in environment variables');
+  }
+
+  return mongoose.connect(process.env.MONGODB_URI, mongooseOptions);
+};
+
+module.exports = {
+  mongooseOptions,
+  connectDB
+};
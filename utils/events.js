@@ -0,0 +1,74 @@
+/**
+ * In-process registry of content lifecycle hooks (e.g. 'blog.published').
+ * Unlike EventEmitter, emitting waits for async handlers, and a failing
+ * handler is logged without affecting the others or the caller.
+ */
+
+// Every event emitted by the routes and the scheduler
+const CONTENT_EVENTS = [
+  'blog.created',
+  'blog.updated',
+  'blog.published',
+  'blog.deleted',
+  'category.created',
+  'category.updated',
+  'category.deleted',
+  'author.created',
+  'author.updated',
+  'author.deleted',
+  'tag.created',
+  'tag.updated',
+  'tag.deleted',
+  'comment.created',
+  'comment.updated',
+  'comment.moderated',
+  'comment.deleted'
+];
+
+const handlers = new Map();
+
+/**
+ * Register a handler for an event, or '*' for every event
+ * @param {String} event - Event name
+ * @param {Function} handler - async (payload, event) => {}
+ */
+const onContentEvent = (event, handler) => {
+  if (!handlers.has(event)) {
+    handlers.set(event, []);
+  }
+  handlers.get(event).push(handler);
+};
+
+/**
+ * Run every handler registered for an event
+ * @param {String} event - Event name
+ * @param {Object} payload - Event data
+ */
+const emitContentEvent = async (event, payload) => {
+  const eventHandlers = [...(handlers.get(event) || []), ...(handlers.get('*') || [])];
+
+  await Promise.all(eventHandlers.map(async (handler) => {
+    try {
+      await handler(payload, event);
+    } catch (error) {
+      console.error(`❌ Hook for ${event} failed:`, error.message);
+    }
+  }));
+};
+
+/**
+ * Convert a document into a plain object suitable for event payloads
+ * (populated references are reduced to their ids)
+ * @param {Object} doc - Mongoose document or plain object
+ * @returns {Object} - Plain object
+ */
+const toEventData = (doc) => {
+  return doc && typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+};
+
+module.exports = {
+  CONTENT_EVENTS,
+  onContentEvent,
+  emitContentEvent,
+  toEventData
+};
@@ -0,0 +1,131 @@
+const { escapeXml, cdata, imageMimeType } = require('./xml');
+const { blogUrl } = require('./urls');
+const { getContentHtml } = require('./content');
+
+/**
+ * Builders for RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents
+ */
+
+/**
+ * Convert a lean, populated blog into a format-neutral feed item
+ * @param {Object} blog - Blog with categoryId and authorId populated
+ * @param {Object} options
+ * @param {Boolean} options.fullContent - Include the full content instead of only the excerpt
+ * @returns {Object} - Feed item
+ */
+const toFeedItem = (blog, { fullContent = false } = {}) => {
+  const url = blogUrl(blog.slug);
+  const format = blog.imageMetadata && blog.imageMetadata.format;
+
+  return {
+    id: url,
+    url,
+    title: blog.title,
+    summary: blog.excerpt,
+    contentHtml: fullContent ? getContentHtml(blog) : null,
+    published: new Date(blog.publishDate || blog.createdAt),
+    updated: new Date(blog.updatedAt || blog.publishDate || blog.createdAt),
+    authorName: blog.authorId && blog.authorId.name,
+    categories: [
+      ...(blog.categoryId && blog.categoryId.name ? [blog.categoryId.name] : []),
+      ...(blog.tags || [])
+    ],
+    image: blog.imageUrl
+      ? { url: blog.imageUrl, type: imageMimeType(blog.imageUrl, format), alt: blog.imageAlt }
+      : null
+  };
+};
+
+/**
+ * Build an RSS 2.0 document
+ * @param {Object} feed - { title, description, siteUrl, feedUrl, updated, items }
+ * @returns {String} - XML
+ */
+const buildRss = (feed) => {
+  const items = feed.items.map((item) => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+${item.authorName ? `      <dc:creator>${escapeXml(item.authorName)}</dc:creator>\n` : ''}${item.categories.map((category) => `      <category>${escapeXml(category)}</category>\n`).join('')}      <description>${escapeXml(item.summary)}</description>
+${item.contentHtml ? `      <content:encoded>${cdata(item.contentHtml)}</content:encoded>\n` : ''}${item.image ? `      <enclosure url="${escapeXml(item.image.url)}" type="${item.image.type}" length="0"/>\n` : ''}    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.siteUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+};
+
+/**
+ * Build an Atom 1.0 document
+ * @param {Object} feed - { title, description, siteUrl, feedUrl, updated, items }
+ * @returns {String} - XML
+ */
+const buildAtom = (feed) => {
+  const entries = feed.items.map((item) => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.id)}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+${item.authorName ? `    <author><name>${escapeXml(item.authorName)}</name></author>\n` : ''}${item.categories.map((category) => `    <category term="${escapeXml(category)}"/>\n`).join('')}    <summary>${escapeXml(item.summary)}</summary>
+${item.contentHtml ? `    <content type="html">${escapeXml(item.contentHtml)}</content>\n` : ''}${item.image ? `    <link rel="enclosure" type="${item.image.type}" href="${escapeXml(item.image.url)}"/>\n` : ''}  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <updated>${feed.updated.toISOString()}</updated>
+${entries}
+</feed>
+`;
+};
+
+/**
+ * Build a JSON Feed 1.1 document
+ * @param {Object} feed - { title, description, siteUrl, feedUrl, items }
+ * @returns {Object} - JSON Feed object
+ */
+const buildJsonFeed = (feed) => {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.siteUrl,
+    feed_url: feed.feedUrl,
+    items: feed.items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      // JSON Feed requires either content_html or content_text
+      ...(item.contentHtml ? { content_html: item.contentHtml } : { content_text: item.summary }),
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      ...(item.authorName && { authors: [{ name: item.authorName }] }),
+      tags: item.categories,
+      ...(item.image && {
+        image: item.image.url,
+        attachments: [{ url: item.image.url, mime_type: item.image.type, title: item.image.alt }]
+      })
+    }))
+  };
+};
+
+module.exports = {
+  toFeedItem,
+  buildRss,
+  buildAtom,
+  buildJsonFeed
+};
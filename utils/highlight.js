@@ -0,0 +1,81 @@
+const { escapeXml } = require('./xml');
+
+/**
+ * Utility functions for highlighting search terms in result snippets
+ */
+
+/**
+ * Extract the terms to highlight from a search query
+ * (quotes are dropped, negated terms such as -draft are ignored)
+ * @param {String} query - Search query as typed by the user
+ * @returns {Array} - Unique lowercase terms
+ */
+const extractTerms = (query) => {
+  const terms = String(query || '')
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter((term) => term && !term.startsWith('-'))
+    .map((term) => term.toLowerCase());
+
+  return [...new Set(terms)];
+};
+
+/**
+ * Convert HTML to plain text
+ * @param {String} html - HTML content
+ * @returns {String} - Text with tags removed and whitespace collapsed
+ */
+const stripHtml = (html) => {
+  return String(html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Highlight terms in a text, optionally cutting it down to a snippet around the first match.
+ * Matches are whole words or word prefixes (so "publish" highlights "publishing").
+ * @param {String} text - Plain text
+ * @param {Array} terms - Terms from extractTerms()
+ * @param {Object} options
+ * @param {Number} options.snippetLength - Cut the text to about this many characters (0 keeps it whole)
+ * @returns {String|null} - HTML-escaped text with <mark> around matches, or null if nothing matched
+ */
+const highlight = (text, terms, { snippetLength = 0 } = {}) => {
+  if (!text || terms.length === 0) return null;
+
+  const escapedTerms = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${escapedTerms.join('|')})`, 'giu');
+
+  const firstMatch = pattern.exec(text);
+  if (!firstMatch) return null;
+
+  let snippet = text;
+  if (snippetLength && text.length > snippetLength) {
+    const matchIndex = firstMatch.index + firstMatch[1].length;
+    const start = Math.max(0, matchIndex - Math.floor(snippetLength / 3));
+    const end = Math.min(text.length, start + snippetLength);
+
+    snippet = `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  pattern.lastIndex = 0;
+  // split() keeps both capture groups, so every third part is a matched term
+  return snippet
+    .split(pattern)
+    .map((part, index) => (index % 3 === 2 ? `<mark>${escapeXml(part)}</mark>` : escapeXml(part)))
+    .join('');
+};
+
+module.exports = {
+  extractTerms,
+  stripHtml,
+  highlight
+};
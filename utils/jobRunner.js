@@ -0,0 +1,90 @@
+/**
+ * Minimal interval-based background job runner.
+ * Jobs never overlap with themselves: a run that is still in progress
+ * makes the next tick a no-op.
+ */
+
+const jobs = new Map();
+
+/**
+ * Register a job
+ * @param {Object} job
+ * @param {String} job.name - Unique job name
+ * @param {Number} job.intervalMs - Time between runs
+ * @param {Function} job.run - Async function doing the work
+ */
+const registerJob = ({ name, intervalMs, run }) => {
+  jobs.set(name, { name, intervalMs, run, timer: null, running: false, lastRunAt: null, lastError: null });
+};
+
+/**
+ * Run a registered job now (skipped if it is already running)
+ * @param {String} name - Job name
+ * @returns {*} - Result of the job, or undefined if skipped
+ */
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (job.running) return undefined;
+
+  job.running = true;
+  try {
+    const result = await job.run();
+    job.lastError = null;
+    return result;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`❌ Job ${name} failed:`, error.message);
+    return undefined;
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date();
+  }
+};
+
+/**
+ * Start running every registered job on its interval
+ */
+const startJobs = () => {
+  jobs.forEach((job) => {
+    if (job.timer) return;
+    job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+    console.log(`⏱️ Job ${job.name} started (every ${Math.round(job.intervalMs / 1000)}s)`);
+  });
+};
+
+/**
+ * Stop all job timers
+ */
+const stopJobs = () => {
+  jobs.forEach((job) => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+/**
+ * Status of registered jobs
+ * @returns {Array} - [{ name, intervalMs, running, lastRunAt, lastError }]
+ */
+const getJobStatus = () => {
+  return [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError, timer }) => ({
+    name,
+    intervalMs,
+    active: Boolean(timer),
+    running,
+    lastRunAt,
+    lastError
+  }));
+};
+
+module.exports = {
+  registerJob,
+  runJob,
+  startJobs,
+  stopJobs,
+  getJobStatus
+};
@@ -0,0 +1,120 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Pluggable email delivery.
+ *
+ * The transport is chosen with MAIL_TRANSPORT:
+ *   - console: print emails, including their links and tokens, to the server log (opt-in only)
+ *   - file:    write each email to MAIL_OUTPUT_DIR as .json and .html files (default outside production)
+ *   - smtp:    send through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS (default in production)
+ * Other transports can be added with registerTransport().
+ */
+
+const transportFactories = {
+  console: () => ({
+    send: async (message) => {
+      console.log('📧 Email (console transport):', {
+        to: message.to,
+        subject: message.subject
+      });
+      console.log(message.text);
+      return { id: `console-${Date.now()}` };
+    }
+  }),
+
+  file: () => {
+    const outputDir = path.resolve(process.env.MAIL_OUTPUT_DIR || 'mail-outbox');
+
+    return {
+      send: async (message) => {
+        await fs.mkdir(outputDir, { recursive: true });
+
+        const safeRecipient = String(message.to).replace(/[^\w.@-]+/g, '_');
+        const id = `${Date.now()}-${safeRecipient}`;
+
+        await fs.writeFile(path.join(outputDir, `${id}.json`), JSON.stringify(message, null, 2));
+        if (message.html) {
+          await fs.writeFile(path.join(outputDir, `${id}.html`), message.html);
+        }
+
+        console.log(`📧 Email written to ${path.join(outputDir, id)}.json`);
+        return { id };
+      }
+    };
+  },
+
+  smtp: () => {
+    // Loaded lazily so development setups never need SMTP configuration
+    const nodemailer = require('nodemailer');
+
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return {
+      send: async (message) => {
+        const info = await transporter.sendMail(message);
+        return { id: info.messageId };
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Register a custom transport factory
+ * @param {String} name - Transport name used in MAIL_TRANSPORT
+ * @param {Function} factory - Returns an object with an async send(message) method
+ */
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  activeTransport = null;
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'file');
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message
+ * @param {String} message.to - Recipient address
+ * @param {String} message.subject - Subject line
+ * @param {String} message.text - Plain text body
+ * @param {String} message.html - Optional HTML body
+ * @returns {Object} - { id } of the sent message
+ */
+const sendMail = async ({ to, subject, text, html, headers }) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'KheyaMind Blog <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html,
+    headers
+  });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Blog = require('../models/blog.model');
+const Category = require('../models/category.model');
+const Subscriber = require('../models/subscriber.model');
+const NewsletterDigest = require('../models/newsletterDigest.model');
+const { buildPublishedFilter } = require('./blogVisibility');
+const { sendMail } = require('./mailer');
+const { siteUrl, blogUrl } = require('./urls');
+
+/**
+ * Newsletter: double opt-in subscriptions and the digest of newly published posts.
+ *
+ * Each digest covers the posts published since the previous digest was sent and is
+ * filtered per subscriber by their category preferences.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SITE_TITLE = process.env.SITE_TITLE || 'KheyaMind AI Blog';
+const CONFIRMATION_EXPIRES_HOURS = parseInt(process.env.NEWSLETTER_CONFIRMATION_EXPIRES_HOURS) || 48;
+
+// Days between automatic digests; the digest job only runs when this is set
+const DIGEST_INTERVAL_DAYS = parseFloat(process.env.NEWSLETTER_DIGEST_INTERVAL_DAYS) || 0;
+
+// Window of the first digest, when none has been sent yet
+const FIRST_DIGEST_DAYS = DIGEST_INTERVAL_DAYS || 7;
+
+// Posts listed in full in one email; the rest of a subscriber's posts are linked to
+const MAX_DIGEST_POSTS = 20;
+
+const DIGEST_FIELDS = 'title slug excerpt imageUrl imageAlt publishDate categoryId readingTime';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const createToken = () => crypto.randomBytes(32).toString('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Validate category preferences
+ * @param {Array} categoryIds - Category ids ([] or missing for every category)
+ * @returns {Object} - { categories } (ObjectIds) or { error }
+ */
+const resolveCategories = async (categoryIds = []) => {
+  if (!Array.isArray(categoryIds)) return { error: 'categories must be an array of category ids' };
+
+  const ids = [...new Set(categoryIds.map(String))];
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) return { error: 'Invalid category id' };
+
+  const categories = await Category.find({ _id: { $in: ids } }).select('_id').lean();
+  if (categories.length !== ids.length) return { error: 'Category not found' };
+
+  return { categories: categories.map((category) => category._id) };
+};
+
+/**
+ * Links a subscriber can use without an account
+ */
+const subscriberLinks = (subscriber) => ({
+  unsubscribe: siteUrl('/newsletter/unsubscribe', { token: subscriber.unsubscribeToken }),
+  preferences: siteUrl('/newsletter/preferences', { token: subscriber.unsubscribeToken })
+});
+
+/**
+ * Send the link confirming a subscription
+ */
+const sendConfirmationEmail = async (subscriber, token) => {
+  const link = siteUrl('/newsletter/confirm', { token });
+
+  await sendMail({
+    to: subscriber.email,
+    subject: `Confirm your subscription to ${SITE_TITLE}`,
+    text: `Please confirm your subscription to the ${SITE_TITLE} newsletter by opening this link:\n${link}\n\nThe link expires in ${CONFIRMATION_EXPIRES_HOURS} hours. If you did not sign up, you can ignore this email.`,
+    html: `<p>Please confirm your subscription to the ${escapeHtml(SITE_TITLE)} newsletter by clicking the link below:</p><p><a href="${escapeHtml(link)}">Confirm subscription</a></p><p>The link expires in ${CONFIRMATION_EXPIRES_HOURS} hours. If you did not sign up, you can ignore this email.</p>`
+  });
+};
+
+/**
+ * Sign an address up and email a confirmation link. Confirmed subscribers are left
+ * unchanged (preferences are managed through the link in each email); pending and
+ * unsubscribed addresses get a new confirmation link.
+ * @param {String} email - Email address
+ * @param {Array} categories - Category ObjectIds from resolveCategories()
+ */
+const subscribe = async (email, categories = []) => {
+  const address = String(email).toLowerCase().trim();
+  let subscriber = await Subscriber.findOne({ email: address }).select('+unsubscribeToken');
+
+  if (subscriber && subscriber.status === 'confirmed') return;
+
+  if (!subscriber) {
+    subscriber = new Subscriber({ email: address, unsubscribeToken: createToken() });
+  }
+
+  const token = createToken();
+  subscriber.set({
+    status: 'pending',
+    categories,
+    confirmationTokenHash: hashToken(token),
+    confirmationExpiresAt: new Date(Date.now() + CONFIRMATION_EXPIRES_HOURS * 60 * 60 * 1000),
+    unsubscribedAt: undefined
+  });
+  await subscriber.save();
+
+  await sendConfirmationEmail(subscriber, token);
+};
+
+/**
+ * Confirm a subscription with the token from the confirmation email
+ * @param {String} token - Confirmation token
+ * @returns {Object|null} - Confirmed subscriber, or null if the token is invalid or expired
+ */
+const confirmSubscription = async (token) => {
+  // Atomic update so a token can only be used once
+  return Subscriber.findOneAndUpdate(
+    {
+      confirmationTokenHash: hashToken(token),
+      status: 'pending',
+      confirmationExpiresAt: { $gt: new Date() }
+    },
+    {
+      $set: { status: 'confirmed', confirmedAt: new Date() },
+      $unset: { confirmationTokenHash: 1, confirmationExpiresAt: 1 }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Find a subscriber by the token of their unsubscribe / preferences links
+ * @param {String} token - Unsubscribe token
+ * @returns {Object|null} - Subscriber document
+ */
+const findByUnsubscribeToken = (token) => {
+  return Subscriber.findOne({ unsubscribeToken: String(token) });
+};
+
+/**
+ * Window of the next digest: from the end of the previous digest until now
+ * @param {Date} until - End of the window
+ * @returns {Object} - { since, until }
+ */
+const getDigestWindow = async (until = new Date()) => {
+  const last = await NewsletterDigest.findOne().sort({ until: -1 }).select('until').lean();
+
+  return {
+    since: last ? last.until : new Date(until.getTime() - FIRST_DIGEST_DAYS * DAY_MS),
+    until
+  };
+};
+
+/**
+ * Posts published in a digest window, newest first
+ * @param {Object} window - { since, until }
+ * @returns {Array} - Lean blogs with their category (name, slug, ancestors)
+ */
+const findDigestPosts = ({ since, until }) => {
+  return Blog.find({ $and: [buildPublishedFilter(until), { publishDate: { $gt: since, $lte: until } }] })
+    .sort({ publishDate: -1 })
+    .select(DIGEST_FIELDS)
+    .populate('categoryId', 'name slug ancestors')
+    .lean();
+};
+
+/**
+ * Posts matching a subscriber's category preferences (a category includes its subcategories)
+ * @param {Array} posts - Posts from findDigestPosts()
+ * @param {Object} subscriber - Subscriber with categories
+ * @returns {Array} - Posts to send
+ */
+const postsForSubscriber = (posts, subscriber) => {
+  if (!subscriber.categories || subscriber.categories.length === 0) return posts;
+
+  const wanted = new Set(subscriber.categories.map(String));
+  return posts.filter(({ categoryId: category }) => category &&
+    [category._id, ...(category.ancestors || [])].some((id) => wanted.has(String(id))));
+};
+
+/**
+ * Render a digest email; past MAX_DIGEST_POSTS, the remaining posts are summed up in a link to the site
+ * @param {Array} allPosts - Posts to include, newest first
+ * @param {Object} subscriber - Subscriber with unsubscribeToken (optional, e.g. for previews)
+ * @returns {Object} - { subject, text, html }
+ */
+const renderDigest = (allPosts, subscriber) => {
+  const links = subscriber && subscriber.unsubscribeToken ? subscriberLinks(subscriber) : null;
+  const subject = `${SITE_TITLE}: ${allPosts.length} new ${allPosts.length === 1 ? 'post' : 'posts'}`;
+  const posts = allPosts.slice(0, MAX_DIGEST_POSTS);
+  const more = allPosts.length - posts.length;
+
+  const textItems = posts.map((post) => [
+    post.title,
+    post.excerpt,
+    `${post.readingTime ? `${post.readingTime} min read - ` : ''}${blogUrl(post.slug)}`
+  ].filter(Boolean).join('\n'));
+
+  const htmlItems = posts.map((post) => {
+    const url = escapeHtml(blogUrl(post.slug));
+    const image = post.imageUrl
+      ? `<a href="${url}"><img src="${escapeHtml(post.imageUrl)}" alt="${escapeHtml(post.imageAlt || post.title)}" width="560" style="display:block;max-width:100%;height:auto;border:0"></a>`
+      : '';
+
+    return `<tr><td style="padding:16px 0;border-bottom:1px solid #eee">${image}
+<h2 style="margin:12px 0 4px;font-size:20px"><a href="${url}" style="color:#111;text-decoration:none">${escapeHtml(post.title)}</a></h2>
+${post.categoryId ? `<p style="margin:0;color:#666;font-size:13px">${escapeHtml(post.categoryId.name)}${post.readingTime ? ` · ${post.readingTime} min read` : ''}</p>` : ''}
+<p style="margin:8px 0;color:#333">${escapeHtml(post.excerpt || '')}</p>
+<p style="margin:0"><a href="${url}">Read more</a></p></td></tr>`;
+  });
+
+  if (more > 0) {
+    textItems.push(`...and ${more} more on ${siteUrl('/')}`);
+    htmlItems.push(`<tr><td style="padding:16px 0"><a href="${escapeHtml(siteUrl('/'))}">...and ${more} more ${more === 1 ? 'post' : 'posts'}</a></td></tr>`);
+  }
+
+  const textFooter = links
+    ? `\n\nManage your preferences: ${links.preferences}\nUnsubscribe: ${links.unsubscribe}`
+    : '';
+  const htmlFooter = links
+    ? `<tr><td style="padding:16px 0;color:#666;font-size:12px"><a href="${escapeHtml(links.preferences)}">Manage your preferences</a> · <a href="${escapeHtml(links.unsubscribe)}">Unsubscribe</a></td></tr>`
+    : '';
+
+  return {
+    subject,
+    text: `New on ${SITE_TITLE}\n\n${textItems.join('\n\n')}${textFooter}`,
+    html: `<!DOCTYPE html><html><body style="margin:0;padding:16px;font-family:Arial,sans-serif">
+<table role="presentation" width="100%" style="max-width:560px;margin:0 auto;border-collapse:collapse">
+<tr><td><h1 style="font-size:24px">New on ${escapeHtml(SITE_TITLE)}</h1></td></tr>
+${htmlItems.join('\n')}
+${htmlFooter}
+</table></body></html>`
+  };
+};
+
+/**
+ * Send the digest of the posts published since the previous digest to every confirmed subscriber
+ * @param {Object} options
+ * @param {Boolean} options.dryRun - Report what would be sent without sending or recording anything
+ * @returns {Object} - { since, until, posts, sent, skipped, failed, failedSubscribers } (sent counts recipients in a dry run)
+ */
+const sendDigest = async ({ dryRun = false } = {}) => {
+  const window = await getDigestWindow();
+
+  // Subscribers whose previous digest failed also get the posts they missed
+  const behind = await Subscriber.findOne({ status: 'confirmed', lastDigestAt: { $lt: window.since } })
+    .sort({ lastDigestAt: 1 })
+    .select('lastDigestAt')
+    .lean();
+  const posts = await findDigestPosts({ since: behind ? behind.lastDigestAt : window.since, until: window.until });
+
+  const report = {
+    ...window,
+    posts: posts.filter((post) => post.publishDate > window.since).map((post) => post._id),
+    sent: 0,
+    skipped: 0,
+    failed: 0,
+    failedSubscribers: []
+  };
+
+  if (posts.length === 0) return report;
+
+  // Subscribers already mailed a digest covering this window (e.g. by an interrupted run) are not mailed twice
+  const cursor = Subscriber.find({ status: 'confirmed', lastDigestAt: { $not: { $gt: window.since } } })
+    .select('+unsubscribeToken email categories lastDigestAt')
+    .lean()
+    .cursor();
+
+  for await (const subscriber of cursor) {
+    // Posts since the last digest this subscriber received
+    const from = subscriber.lastDigestAt || window.since;
+    const subscriberPosts = postsForSubscriber(posts.filter((post) => post.publishDate > from), subscriber);
+
+    if (dryRun) {
+      report[subscriberPosts.length > 0 ? 'sent' : 'skipped']++;
+      continue;
+    }
+
+    // Claim the subscriber before sending so overlapping runs (job, API, script) never mail them twice
+    const claimed = await Subscriber.findOneAndUpdate(
+      { _id: subscriber._id, status: 'confirmed', lastDigestAt: { $not: { $gt: window.since } } },
+      { $set: { lastDigestAt: window.until } }
+    ).select('_id').lean();
+    if (!claimed) continue;
+
+    if (subscriberPosts.length === 0) {
+      report.skipped++;
+      continue;
+    }
+
+    try {
+      await sendMail({
+        to: subscriber.email,
+        ...renderDigest(subscriberPosts, subscriber),
+        headers: { 'List-Unsubscribe': `<${subscriberLinks(subscriber).unsubscribe}>` }
+      });
+      report.sent++;
+    } catch (error) {
+      console.warn(`Could not send the digest to subscriber ${subscriber._id}:`, error.message);
+      // Move the subscriber back to the start of what they missed: the next digest includes these posts
+      await Subscriber.updateOne(
+        { _id: subscriber._id, lastDigestAt: window.until },
+        { $set: { lastDigestAt: from } }
+      );
+      report.failed++;
+      report.failedSubscribers.push(subscriber._id);
+    }
+  }
+
+  if (!dryRun) {
+    await NewsletterDigest.create(report);
+  }
+
+  return report;
+};
+
+/**
+ * Send the digest when the previous one is older than NEWSLETTER_DIGEST_INTERVAL_DAYS (background job)
+ * @returns {Object|null} - Digest report, or null when no digest is due
+ */
+const sendDueDigest = async () => {
+  const last = await NewsletterDigest.findOne().sort({ until: -1 }).select('until').lean();
+  if (last && Date.now() - last.until.getTime() < DIGEST_INTERVAL_DAYS * DAY_MS) return null;
+
+  return sendDigest();
+};
+
+module.exports = {
+  DIGEST_INTERVAL_DAYS,
+  resolveCategories,
+  subscribe,
+  confirmSubscription,
+  findByUnsubscribeToken,
+  getDigestWindow,
+  findDigestPosts,
+  postsForSubscriber,
+  renderDigest,
+  sendDigest,
+  sendDueDigest
+};
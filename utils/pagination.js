@@ -0,0 +1,295 @@
+const mongoose = require('mongoose');
+
+/**
+ * Shared pagination for list endpoints.
+ *
+ * Two modes are supported on every list route:
+ *   - cursor (default): ?limit=&cursor= with opaque tokens from the previous response.
+ *     Results are keyed on (sort field, _id), so posts published while a reader scrolls
+ *     never shift the pages or show up twice.
+ *   - page: ?page=&limit= with skip/limit, kept for clients that need page numbers.
+ * Counting is optional in cursor mode (?count=true) and always done in page mode.
+ * Routes may let clients pick another sort field with ?sort=field / ?sort=-field (descending).
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Encode a cursor token pointing before/after an item
+ * @param {Object} item - Item the cursor starts from
+ * @param {Object} sort - { field, order }
+ * @param {String} direction - 'next' or 'prev'
+ * @returns {String} - Opaque base64url token
+ */
+const encodeCursor = (item, { field, order }, direction) => {
+  const value = field === '_id' ? null : item[field];
+
+  return Buffer.from(JSON.stringify({
+    f: field,
+    o: order,
+    d: direction,
+    v: value instanceof Date ? { $date: value.toISOString() } : value === undefined ? null : value,
+    id: String(item._id)
+  })).toString('base64url');
+};
+
+/**
+ * Decode a cursor token for the given sort
+ * @param {String} token - Token from a previous response
+ * @param {Object} sort - { field, order } the token must have been created with
+ * @returns {Object|null} - { direction, value, id } or null if invalid
+ */
+const decodeCursor = (token, { field, order }) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+
+    if (cursor.f !== field || cursor.o !== order || !['next', 'prev'].includes(cursor.d) ||
+        !mongoose.Types.ObjectId.isValid(cursor.id)) {
+      return null;
+    }
+
+    // Only scalar values and dates: anything else would put client-supplied operators into the filter
+    const isDate = cursor.v !== null && typeof cursor.v === 'object' && !Array.isArray(cursor.v) &&
+      Object.keys(cursor.v).length === 1 && typeof cursor.v.$date === 'string';
+    if (!isDate && cursor.v !== null && !['string', 'number', 'boolean'].includes(typeof cursor.v)) return null;
+
+    const value = isDate ? new Date(cursor.v.$date) : cursor.v;
+    if (value instanceof Date && isNaN(value.getTime())) return null;
+
+    return {
+      direction: cursor.d,
+      value,
+      id: new mongoose.Types.ObjectId(cursor.id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the filter matching items after the cursor position in the given order.
+ * Missing/null values sort before any other value, as in MongoDB.
+ * @param {String} field - Sort field
+ * @param {Number} order - 1 or -1 (order in which items are being read)
+ * @param {Object} cursor - Decoded cursor
+ * @returns {Object} - MongoDB filter
+ */
+const afterCursor = (field, order, { value, id }) => {
+  const idCondition = { _id: order === 1 ? { $gt: id } : { $lt: id } };
+
+  if (field === '_id') return idCondition;
+
+  if (value === null) {
+    return order === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, ...idCondition }] }
+      : { [field]: null, ...idCondition };
+  }
+
+  return {
+    $or: [
+      { [field]: order === 1 ? { $gt: value } : { $lt: value } },
+      ...(order === -1 ? [{ [field]: null }] : []),
+      { [field]: value, ...idCondition }
+    ]
+  };
+};
+
+/**
+ * Parse a ?limit= query parameter
+ * @param {*} value - Raw query value
+ * @param {Number} defaultLimit - Limit when the parameter is missing
+ * @param {Number} maxLimit - Largest limit returned (larger values are clamped)
+ * @returns {Object} - { limit } or { error } when the value is not a positive integer
+ */
+const parseLimit = (value, defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT) => {
+  if (value === undefined || value === '') return { limit: defaultLimit };
+
+  if (typeof value !== 'string' || !/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+    return { error: 'Invalid limit. Use a positive integer' };
+  }
+
+  return { limit: Math.min(parseInt(value, 10), maxLimit) };
+};
+
+/**
+ * Middleware parsing pagination parameters into req.pagination
+ * @param {Object} options
+ * @param {String} options.sortField - Field the list is ordered by (ties are broken by _id)
+ * @param {Number} options.sortOrder - 1 (ascending) or -1 (descending)
+ * @param {Number} options.defaultLimit - Page size when ?limit is missing
+ * @param {Number} options.maxLimit - Largest accepted ?limit
+ * @param {Array} options.sortFields - Fields accepted in ?sort= instead of the default sort
+ */
+const paginationParams = ({
+  sortField = '_id',
+  sortOrder = -1,
+  defaultLimit = DEFAULT_LIMIT,
+  maxLimit = MAX_LIMIT,
+  sortFields = []
+} = {}) => (req, res, next) => {
+  let sort = { field: sortField, order: sortOrder };
+
+  // ?sort is ignored on routes that do not offer other sort fields
+  if (req.query.sort && sortFields.length > 0) {
+    const field = String(req.query.sort).replace(/^-/, '');
+
+    if (!sortFields.includes(field)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid sort. Supported: ${sortFields.map((name) => `${name}, -${name}`).join(', ')}`
+      });
+    }
+
+    sort = { field, order: String(req.query.sort).startsWith('-') ? -1 : 1 };
+  }
+
+  const { limit, error } = parseLimit(req.query.limit, defaultLimit, maxLimit);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const page = parseInt(req.query.page);
+
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeCursor(req.query.cursor, sort);
+
+    if (!cursor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid pagination cursor'
+      });
+    }
+  }
+
+  req.pagination = {
+    sort,
+    limit,
+    cursor,
+    // Page mode is only used when a page number is requested without a cursor
+    page: !cursor && page > 0 ? page : null,
+    withCount: req.query.count === 'true'
+  };
+
+  next();
+};
+
+/**
+ * Build a link to the current list with different pagination parameters
+ */
+const buildLink = (req, params) => {
+  const query = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+  query.delete('cursor');
+  query.delete('page');
+  Object.entries(params).forEach(([key, value]) => query.set(key, value));
+
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${query.toString()}`;
+};
+
+/**
+ * Pagination fields of a page-mode response, for routes that page results themselves
+ * (e.g. aggregations ranked by text score)
+ * @param {Object} req - Express request
+ * @param {Object} options - { page, limit, totalCount }
+ * @returns {Object} - { totalCount, currentPage, totalPages, pagination }
+ */
+const pageInfo = (req, { page, limit, totalCount }) => {
+  const totalPages = Math.ceil(totalCount / limit);
+
+  return {
+    totalCount,
+    currentPage: page,
+    totalPages,
+    pagination: {
+      limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      next: page < totalPages ? buildLink(req, { page: page + 1, limit }) : null,
+      prev: page > 1 ? buildLink(req, { page: page - 1, limit }) : null
+    }
+  };
+};
+
+const countItems = (Model, filter) => {
+  return Object.keys(filter).length === 0
+    ? Model.estimatedDocumentCount()
+    : Model.countDocuments(filter).maxTimeMS(10000);
+};
+
+/**
+ * Run a paginated query using req.pagination (see paginationParams)
+ * @param {Object} req - Express request
+ * @param {Object} Model - Mongoose model
+ * @param {Object} filter - MongoDB filter
+ * @param {Function} prepare - Optional (query) => query adding select/populate/lean
+ * @returns {Object} - { items, pagination, totalCount?, currentPage?, totalPages? }
+ */
+const paginate = async (req, Model, filter, prepare = (query) => query) => {
+  const { sort, limit, cursor, page, withCount } = req.pagination;
+  const sortSpec = sort.field === '_id'
+    ? { _id: sort.order }
+    : { [sort.field]: sort.order, _id: sort.order };
+
+  if (page) {
+    const [items, totalCount] = await Promise.all([
+      prepare(Model.find(filter).sort(sortSpec).skip((page - 1) * limit).limit(limit)),
+      countItems(Model, filter)
+    ]);
+
+    return {
+      items,
+      ...pageInfo(req, { page, limit, totalCount })
+    };
+  }
+
+  const backwards = cursor && cursor.direction === 'prev';
+  // Reading backwards means walking the sort order in reverse and flipping the results
+  const readOrder = backwards ? -sort.order : sort.order;
+  const readSort = Object.fromEntries(Object.keys(sortSpec).map((key) => [key, readOrder]));
+  const readFilter = cursor
+    ? { $and: [filter, afterCursor(sort.field, readOrder, cursor)] }
+    : filter;
+
+  const [rows, totalCount] = await Promise.all([
+    prepare(Model.find(readFilter).sort(readSort).limit(limit + 1)),
+    withCount ? countItems(Model, filter) : undefined
+  ]);
+
+  const hasMore = rows.length > limit;
+  const items = hasMore ? rows.slice(0, limit) : rows;
+  if (backwards) items.reverse();
+
+  const hasNextPage = backwards ? true : hasMore;
+  const hasPrevPage = backwards ? hasMore : Boolean(cursor);
+  const nextCursor = hasNextPage && items.length > 0
+    ? encodeCursor(items[items.length - 1], sort, 'next')
+    : null;
+  const prevCursor = hasPrevPage && items.length > 0
+    ? encodeCursor(items[0], sort, 'prev')
+    : null;
+
+  return {
+    items,
+    ...(totalCount !== undefined && { totalCount }),
+    pagination: {
+      limit,
+      hasNextPage: Boolean(nextCursor),
+      hasPrevPage: Boolean(prevCursor),
+      nextCursor,
+      prevCursor,
+      next: nextCursor ? buildLink(req, { cursor: nextCursor, limit }) : null,
+      prev: prevCursor ? buildLink(req, { cursor: prevCursor, limit }) : null
+    }
+  };
+};
+
+module.exports = {
+  parseLimit,
+  paginationParams,
+  paginate,
+  pageInfo
+};
@@ -0,0 +1,67 @@
+const Blog = require('../models/blog.model');
+const { recordRevision } = require('./revisions');
+const { emitContentEvent, toEventData } = require('./events');
+
+/**
+ * Utility functions for publishing and scheduling blogs
+ */
+
+/**
+ * Work out the stored status for a requested status and publish date:
+ * non-draft blogs with a future publish date are scheduled, others published
+ * @param {String} status - Requested status ('draft', 'scheduled' or 'published')
+ * @param {Date} publishDate - Publish date of the blog
+ * @param {Date} currentDate - Date to compare the publish date against
+ * @returns {String} - 'draft', 'scheduled' or 'published'
+ */
+const resolvePublishStatus = (status, publishDate, currentDate = new Date()) => {
+  if (status === 'draft') return 'draft';
+  return publishDate && new Date(publishDate) > currentDate ? 'scheduled' : 'published';
+};
+
+/**
+ * Run the post-publish hooks for a blog that just went live
+ * @param {Object} blog - Blog document
+ * @param {Object} options
+ * @param {Boolean} options.scheduled - Whether the blog was published by the scheduler
+ */
+const firePublishedHooks = async (blog, { scheduled = false } = {}) => {
+  await emitContentEvent('blog.published', {
+    blog: toEventData(blog),
+    scheduled
+  });
+};
+
+/**
+ * Publish every scheduled blog whose publish date has passed.
+ * Each blog is claimed with an atomic update, so concurrent workers never
+ * publish (or fire hooks for) the same blog twice.
+ * @param {Date} currentDate - Publish blogs scheduled up to this date
+ * @returns {Array} - Published blog documents
+ */
+const publishDueBlogs = async (currentDate = new Date()) => {
+  const published = [];
+
+  for (;;) {
+    const blog = await Blog.findOneAndUpdate(
+      { status: 'scheduled', publishDate: { $lte: currentDate } },
+      { $set: { status: 'published', updatedAt: new Date() } },
+      { new: true, sort: { publishDate: 1 } }
+    );
+
+    if (!blog) break;
+
+    await recordRevision(blog);
+    await firePublishedHooks(blog, { scheduled: true });
+    published.push(blog);
+    console.log(`📰 Published scheduled blog: ${blog.slug}`);
+  }
+
+  return published;
+};
+
+module.exports = {
+  resolvePublishStatus,
+  firePublishedHooks,
+  publishDueBlogs
+};
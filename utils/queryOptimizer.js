@@ -58,8 +58,10 @@ const optimizeSearchFilter = (filter, searchTerm, searchFields = ['title', 'cont
     filter.$text = { $search: searchTerm };
   } else {
     // Fall back to regex for short terms
+    // Escape the term so characters like "+" or "(" are matched literally
+    const pattern = searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     const searchConditions = searchFields.map(field => ({
-      [field]: { $regex: searchTerm, $options: 'i' }
+      [field]: { $regex: pattern, $options: 'i' }
     }));
     
     filter.$and = filter.$and || [];
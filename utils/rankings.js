@@ -0,0 +1,179 @@
+const Blog = require('../models/blog.model');
+const BlogRanking = require('../models/blogRanking.model');
+const BlogViewStat = require('../models/blogViewStat.model');
+const Comment = require('../models/comment.model');
+const Reaction = require('../models/reaction.model');
+const { buildPublishedFilter } = require('./blogVisibility');
+const { startOfDay } = require('./views');
+const cache = require('./cache');
+
+/**
+ * Popular and trending rankings of published posts.
+ *
+ * Each engagement (view, reaction, comment) adds its weight to a post's score, halved every
+ * `halfLifeDays` since it happened, so recent activity counts more. Rankings are
+ * computed by the refreshRankings job and stored, so requests only read them.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RANKINGS = {
+  // "Most popular this week"
+  popular: {
+    windowDays: parseFloat(process.env.POPULAR_WINDOW_DAYS) || 7,
+    halfLifeDays: parseFloat(process.env.POPULAR_HALF_LIFE_DAYS) || 7
+  },
+  // "Trending now"
+  trending: {
+    windowDays: parseFloat(process.env.TRENDING_WINDOW_DAYS) || 2,
+    halfLifeDays: parseFloat(process.env.TRENDING_HALF_LIFE_DAYS) || 0.5
+  }
+};
+
+const ENGAGEMENT_WEIGHTS = {
+  view: 1,
+  reaction: 3,
+  comment: 5
+};
+
+// Number of posts stored per ranking
+const RANKING_SIZE = 50;
+
+const REFRESH_INTERVAL_SECONDS = parseInt(process.env.RANKINGS_REFRESH_INTERVAL_SECONDS) || 600;
+const RANKINGS_CACHE_SECONDS = 60;
+
+const RANKING_FIELDS = 'title slug excerpt imageUrl imageAlt imageMetadata tags publishDate categoryId authorId readingTime viewCount reactionCounts';
+
+/**
+ * Aggregation expression of a decayed weight for an event that happened at dateExpression
+ */
+const decayedWeight = (weight, dateExpression, now, halfLifeDays) => ({
+  $multiply: [
+    weight,
+    {
+      $pow: [0.5, {
+        $divide: [{ $max: [0, { $subtract: [now, dateExpression] }] }, halfLifeDays * DAY_MS]
+      }]
+    }
+  ]
+});
+
+/**
+ * Compute a ranking from the engagement in its window
+ * @param {String} name - Ranking name (key of RANKINGS)
+ * @param {Date} now - Date the scores are computed for
+ * @returns {Array} - [{ blog, score }] best first, at most RANKING_SIZE
+ */
+const computeRanking = async (name, now = new Date()) => {
+  const { windowDays, halfLifeDays } = RANKINGS[name];
+  const since = new Date(now.getTime() - windowDays * DAY_MS);
+
+  const [views, reactions, comments] = await Promise.all([
+    // Daily counters: views are dated at the middle of their day
+    BlogViewStat.aggregate([
+      { $match: { date: { $gte: startOfDay(since) } } },
+      {
+        $group: {
+          _id: '$blog',
+          score: { $sum: decayedWeight({ $multiply: ['$views', ENGAGEMENT_WEIGHTS.view] }, { $add: ['$date', DAY_MS / 2] }, now, halfLifeDays) }
+        }
+      }
+    ]),
+    Reaction.aggregate([
+      { $match: { createdAt: { $gte: since } } },
+      { $group: { _id: '$blog', score: { $sum: decayedWeight(ENGAGEMENT_WEIGHTS.reaction, '$createdAt', now, halfLifeDays) } } }
+    ]),
+    Comment.aggregate([
+      { $match: { $and: [Comment.visibleFilter(), { createdAt: { $gte: since } }] } },
+      { $group: { _id: '$blog', score: { $sum: decayedWeight(ENGAGEMENT_WEIGHTS.comment, '$createdAt', now, halfLifeDays) } } }
+    ])
+  ]);
+
+  const scores = new Map();
+  [...views, ...reactions, ...comments].forEach(({ _id, score }) => {
+    const key = String(_id);
+    scores.set(key, (scores.get(key) || 0) + score);
+  });
+
+  // Only posts readers can see are ranked
+  const visible = await Blog.find({ $and: [buildPublishedFilter(now), { _id: { $in: [...scores.keys()] } }] })
+    .select('_id')
+    .lean();
+
+  return visible
+    .map(({ _id }) => ({ blog: _id, score: Math.round(scores.get(String(_id)) * 100) / 100 }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, RANKING_SIZE);
+};
+
+/**
+ * Recompute and store one ranking
+ * @param {String} name - Ranking name
+ * @returns {Object} - Stored ranking
+ */
+const refreshRanking = async (name) => {
+  const items = await computeRanking(name);
+
+  const ranking = await BlogRanking.findOneAndUpdate(
+    { name },
+    { $set: { items, computedAt: new Date() } },
+    { upsert: true, new: true }
+  ).lean();
+
+  await cache.invalidate(`rankings:${name}:`);
+  return ranking;
+};
+
+/**
+ * Recompute and store every ranking (background job)
+ * @returns {Object} - name => number of ranked posts
+ */
+const refreshRankings = async () => {
+  const counts = {};
+
+  for (const name of Object.keys(RANKINGS)) {
+    const ranking = await refreshRanking(name);
+    counts[name] = ranking.items.length;
+  }
+
+  return counts;
+};
+
+/**
+ * Get the posts of a ranking, best first. A missing or outdated ranking (e.g. when
+ * the job does not run) is computed once and stored for the following requests.
+ * @param {String} name - Ranking name
+ * @param {Number} limit - Number of posts
+ * @returns {Object} - { blogs (lean, with score), computedAt }
+ */
+const getRankedBlogs = (name, limit) => {
+  return cache.wrap(`rankings:${name}:${limit}`, RANKINGS_CACHE_SECONDS, async () => {
+    let ranking = await BlogRanking.findOne({ name }).lean();
+
+    if (!ranking || Date.now() - ranking.computedAt.getTime() > 2 * REFRESH_INTERVAL_SECONDS * 1000) {
+      ranking = await refreshRanking(name);
+    }
+
+    const items = ranking.items.slice(0, limit);
+    const blogs = await Blog.find({ $and: [buildPublishedFilter(), { _id: { $in: items.map((item) => item.blog) } }] })
+      .select(RANKING_FIELDS)
+      .populate('categoryId', 'name slug')
+      .populate('authorId', 'name slug')
+      .lean();
+    const byId = new Map(blogs.map((blog) => [String(blog._id), blog]));
+
+    return {
+      blogs: items
+        .filter((item) => byId.has(String(item.blog)))
+        .map((item) => ({ ...byId.get(String(item.blog)), score: item.score })),
+      computedAt: ranking.computedAt
+    };
+  });
+};
+
+module.exports = {
+  RANKINGS,
+  REFRESH_INTERVAL_SECONDS,
+  refreshRankings,
+  getRankedBlogs
+};
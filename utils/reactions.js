@@ -0,0 +1,77 @@
+const Blog = require('../models/blog.model');
+const Reaction = require('../models/reaction.model');
+
+/**
+ * Utility functions for reader reactions. Every reaction is stored on its own
+ * (one per user, blog and type) and counted on the blog in reactionCounts.
+ */
+
+const REACTION_TYPES = Reaction.schema.path('type').enumValues;
+
+/**
+ * Reaction counts as returned to clients
+ * @param {Object} counts - Stored reactionCounts of a lean blog (may be missing)
+ * @returns {Object} - type => count, with every type present
+ */
+const formatReactionCounts = (counts = {}) => {
+  return Object.fromEntries(REACTION_TYPES.map((type) => [type, (counts && counts[type]) || 0]));
+};
+
+/**
+ * Reaction counts of a blog
+ * @param {Object} blogId - Blog ObjectId
+ * @returns {Object} - type => count, with every type present
+ */
+const getReactionCounts = async (blogId) => {
+  const blog = await Blog.findById(blogId).select('reactionCounts').lean();
+  return formatReactionCounts(blog && blog.reactionCounts);
+};
+
+/**
+ * Reaction types a user gave to a blog
+ * @param {Object} blogId - Blog ObjectId
+ * @param {Object} userId - User ObjectId
+ * @returns {Array} - Reaction types
+ */
+const getUserReactions = async (blogId, userId) => {
+  const reactions = await Reaction.find({ blog: blogId, user: userId }).select('type').lean();
+  return reactions.map((reaction) => reaction.type);
+};
+
+/**
+ * Add a reaction; reacting twice with the same type is a no-op
+ * @returns {Boolean} - True if the reaction was added
+ */
+const addReaction = async (blogId, userId, type) => {
+  try {
+    await Reaction.create({ blog: blogId, user: userId, type });
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  // updateOne skips the save hook, so updatedAt keeps its editorial meaning
+  await Blog.updateOne({ _id: blogId }, { $inc: { [`reactionCounts.${type}`]: 1 } });
+  return true;
+};
+
+/**
+ * Remove a reaction
+ * @returns {Boolean} - True if the user had given this reaction
+ */
+const removeReaction = async (blogId, userId, type) => {
+  const result = await Reaction.deleteOne({ blog: blogId, user: userId, type });
+  if (result.deletedCount === 0) return false;
+
+  await Blog.updateOne({ _id: blogId }, { $inc: { [`reactionCounts.${type}`]: -1 } });
+  return true;
+};
+
+module.exports = {
+  REACTION_TYPES,
+  formatReactionCounts,
+  getReactionCounts,
+  getUserReactions,
+  addReaction,
+  removeReaction
+};
@@ -0,0 +1,129 @@
+const Blog = require('../models/blog.model');
+const { buildPublishedFilter } = require('./blogVisibility');
+
+/**
+ * "Read next" recommendations for a blog
+ */
+
+// Score of each signal; text similarity contributes up to TEXT_WEIGHT for the closest match
+const SHARED_TAG_WEIGHT = 3;
+const SAME_CATEGORY_WEIGHT = 2;
+const SAME_AUTHOR_WEIGHT = 1;
+const TEXT_WEIGHT = 4;
+// Number of candidates taken from each signal before ranking
+const CANDIDATE_LIMIT = 50;
+
+const RELATED_FIELDS = 'title slug excerpt imageUrl imageAlt imageMetadata tags publishDate categoryId authorId';
+
+/**
+ * Score published posts sharing tags, category or author with the blog
+ * @returns {Array} - [{ _id, score, publishDate }]
+ */
+const scoreByMetadata = (blog, baseFilter) => {
+  const tags = blog.tags || [];
+  const signals = [
+    ...(tags.length > 0 ? [{ tags: { $in: tags } }] : []),
+    ...(blog.categoryId ? [{ categoryId: blog.categoryId }] : []),
+    ...(blog.authorId ? [{ authorId: blog.authorId }] : [])
+  ];
+
+  if (signals.length === 0) return [];
+
+  return Blog.aggregate([
+    { $match: { $and: [baseFilter, { $or: signals }] } },
+    {
+      $project: {
+        publishDate: 1,
+        score: {
+          $add: [
+            { $multiply: [{ $size: { $setIntersection: [{ $ifNull: ['$tags', []] }, tags] } }, SHARED_TAG_WEIGHT] },
+            blog.categoryId ? { $cond: [{ $eq: ['$categoryId', blog.categoryId] }, SAME_CATEGORY_WEIGHT, 0] } : 0,
+            blog.authorId ? { $cond: [{ $eq: ['$authorId', blog.authorId] }, SAME_AUTHOR_WEIGHT, 0] } : 0
+          ]
+        }
+      }
+    },
+    { $sort: { score: -1, publishDate: -1 } },
+    { $limit: CANDIDATE_LIMIT }
+  ]);
+};
+
+/**
+ * Score published posts by text similarity with the blog's title and tags,
+ * using the text index on title/content/excerpt
+ * @returns {Array} - [{ _id, score }] with scores scaled to 0..TEXT_WEIGHT
+ */
+const scoreByText = async (blog, baseFilter) => {
+  const terms = [blog.title, ...(blog.tags || [])].filter(Boolean).join(' ');
+  if (!terms) return [];
+
+  const matches = await Blog.aggregate([
+    { $match: { $text: { $search: terms }, ...baseFilter } },
+    { $project: { score: { $meta: 'textScore' } } },
+    { $sort: { score: -1 } },
+    { $limit: CANDIDATE_LIMIT }
+  ]);
+
+  const maxScore = matches.length > 0 ? matches[0].score : 0;
+  return matches.map(({ _id, score }) => ({ _id, score: maxScore ? (score / maxScore) * TEXT_WEIGHT : 0 }));
+};
+
+/**
+ * Find published posts related to a blog, best matches first.
+ * Posts without any shared signal fill the remaining slots, newest first,
+ * so a post always gets suggestions.
+ * @param {Object} blog - Blog with _id, title, tags, categoryId and authorId
+ * @param {Object} options
+ * @param {Number} options.limit - Number of posts to return
+ * @returns {Array} - Lean blogs with a relatedScore field
+ */
+const findRelatedBlogs = async (blog, { limit = 5 } = {}) => {
+  // Visible posts other than the blog itself
+  const baseFilter = { $and: [buildPublishedFilter(), { _id: { $ne: blog._id } }] };
+
+  const [byMetadata, byText] = await Promise.all([
+    scoreByMetadata(blog, baseFilter),
+    scoreByText(blog, baseFilter)
+  ]);
+
+  const scores = new Map();
+  [...byMetadata, ...byText].forEach(({ _id, score }) => {
+    const key = String(_id);
+    scores.set(key, (scores.get(key) || 0) + score);
+  });
+
+  const ranked = [...scores.entries()]
+    .filter(([, score]) => score > 0)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit);
+
+  const rankedIds = ranked.map(([id]) => id);
+  let blogs = await Blog.find({ _id: { $in: rankedIds } })
+    .select(RELATED_FIELDS)
+    .populate('categoryId', 'name slug')
+    .populate('authorId', 'name')
+    .lean();
+
+  blogs = blogs
+    .map((related) => ({ ...related, relatedScore: Math.round(scores.get(String(related._id)) * 100) / 100 }))
+    .sort((a, b) => b.relatedScore - a.relatedScore ||
+      new Date(b.publishDate || 0) - new Date(a.publishDate || 0));
+
+  if (blogs.length < limit) {
+    const latest = await Blog.find({ $and: [baseFilter, { _id: { $nin: rankedIds } }] })
+      .sort({ publishDate: -1 })
+      .limit(limit - blogs.length)
+      .select(RELATED_FIELDS)
+      .populate('categoryId', 'name slug')
+      .populate('authorId', 'name')
+      .lean();
+
+    blogs.push(...latest.map((related) => ({ ...related, relatedScore: 0 })));
+  }
+
+  return blogs;
+};
+
+module.exports = {
+  findRelatedBlogs
+};
@@ -0,0 +1,110 @@
+const Revision = require('../models/revision.model');
+
+/**
+ * Utility functions for blog revision history
+ */
+
+// Blog fields captured in every revision snapshot and restorable from it
+const REVISION_FIELDS = [
+  'title',
+  'slug',
+  'content',
+  'contentFormat',
+  'excerpt',
+  'tags',
+  'metaDescription',
+  'metaKeywords',
+  'categoryId',
+  'authorId',
+  'imageUrl',
+  'imageAlt',
+  'imageMetadata',
+  'status',
+  'isFeatured',
+  'publishDate'
+];
+
+/**
+ * Copies the tracked fields of a blog
+ * @param {Object} blog - Blog document
+ * @returns {Object} - Plain snapshot with populated references reduced to ids
+ */
+const takeSnapshot = (blog) => {
+  const data = blog.toObject({ depopulate: true });
+
+  return REVISION_FIELDS.reduce((snapshot, field) => {
+    if (data[field] !== undefined) {
+      snapshot[field] = data[field];
+    }
+    return snapshot;
+  }, {});
+};
+
+// Compare values by their JSON form so ObjectIds, Dates and arrays compare by content
+const serialize = (value) => JSON.stringify(value === undefined ? null : value);
+
+/**
+ * Field-level diff between two snapshots
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Array} - [{ field, from, to }] for each changed field
+ */
+const diffSnapshots = (from = {}, to = {}) => {
+  return REVISION_FIELDS
+    .filter((field) => serialize(from[field]) !== serialize(to[field]))
+    .map((field) => ({
+      field,
+      from: from[field] === undefined ? null : from[field],
+      to: to[field] === undefined ? null : to[field]
+    }));
+};
+
+/**
+ * Stores a revision of a blog's current state
+ * @param {Object} blog - Saved blog document
+ * @param {Object} options
+ * @param {ObjectId} options.editor - User who made the change
+ * @param {Number} options.restoredFrom - Version the blog was rolled back to
+ * @returns {Object|null} - Created revision, or null if nothing changed since the last one
+ */
+const recordRevision = async (blog, { editor, restoredFrom } = {}) => {
+  const latest = await Revision.findOne({ blog: blog._id }).sort({ version: -1 }).lean();
+  const snapshot = takeSnapshot(blog);
+
+  const changedFields = latest
+    ? diffSnapshots(latest.snapshot, snapshot).map(({ field }) => field)
+    : Object.keys(snapshot);
+
+  if (latest && changedFields.length === 0 && restoredFrom === undefined) {
+    return null;
+  }
+
+  return Revision.create({
+    blog: blog._id,
+    version: latest ? latest.version + 1 : 1,
+    editor,
+    changedFields,
+    snapshot,
+    restoredFrom
+  });
+};
+
+/**
+ * Records the current state of a blog as its first revision if it has none yet,
+ * so posts created before revision history existed can be rolled back
+ * @param {Object} blog - Blog document, before any changes are applied
+ */
+const ensureBaselineRevision = async (blog) => {
+  const exists = await Revision.exists({ blog: blog._id });
+  if (!exists) {
+    await recordRevision(blog);
+  }
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  takeSnapshot,
+  diffSnapshots,
+  recordRevision,
+  ensureBaselineRevision
+};
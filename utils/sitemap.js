@@ -0,0 +1,48 @@
+const { escapeXml } = require('./xml');
+
+/**
+ * Builders for XML sitemaps (https://www.sitemaps.org/protocol.html)
+ */
+
+const formatDate = (date) => (date ? new Date(date).toISOString() : null);
+
+/**
+ * Build a sitemap index pointing to child sitemaps
+ * @param {Array} sitemaps - [{ loc, lastmod }]
+ * @returns {String} - XML
+ */
+const buildSitemapIndex = (sitemaps) => {
+  const entries = sitemaps.map(({ loc, lastmod }) => `  <sitemap>
+    <loc>${escapeXml(loc)}</loc>
+${lastmod ? `    <lastmod>${formatDate(lastmod)}</lastmod>\n` : ''}  </sitemap>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries}
+</sitemapindex>
+`;
+};
+
+/**
+ * Build a URL set, with optional image entries per URL
+ * @param {Array} urls - [{ loc, lastmod, images: [{ loc, caption }] }]
+ * @returns {String} - XML
+ */
+const buildUrlSet = (urls) => {
+  const entries = urls.map(({ loc, lastmod, images = [] }) => `  <url>
+    <loc>${escapeXml(loc)}</loc>
+${lastmod ? `    <lastmod>${formatDate(lastmod)}</lastmod>\n` : ''}${images.map((image) => `    <image:image>
+      <image:loc>${escapeXml(image.loc)}</image:loc>
+${image.caption ? `      <image:caption>${escapeXml(image.caption)}</image:caption>\n` : ''}    </image:image>\n`).join('')}  </url>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+${entries}
+</urlset>
+`;
+};
+
+module.exports = {
+  buildSitemapIndex,
+  buildUrlSet
+};
@@ -0,0 +1,62 @@
+/**
+ * Mongoose plugin that remembers the previous slugs of a document so that
+ * outdated URLs can be redirected to the canonical slug.
+ *
+ * Adds a `previousSlugs` array and a `findByPreviousSlug(slug)` static.
+ * @param {Object} schema - Mongoose schema with a `slug` path
+ */
+const slugHistoryPlugin = (schema) => {
+  schema.add({
+    previousSlugs: [{
+      type: String,
+      index: true
+    }]
+  });
+
+  // Remember the slug the document was loaded with
+  schema.post('init', function() {
+    this.$locals.loadedSlug = this.slug;
+  });
+
+  schema.pre('save', async function(next) {
+    try {
+      if (this.isNew || !this.isModified('slug')) return next();
+
+      const oldSlug = this.$locals.loadedSlug;
+      if (oldSlug && oldSlug !== this.slug && !this.previousSlugs.includes(oldSlug)) {
+        this.previousSlugs.push(oldSlug);
+      }
+
+      // Going back to an old slug makes it current again
+      this.previousSlugs = this.previousSlugs.filter((slug) => slug !== this.slug);
+
+      // A slug now in use by this document no longer redirects elsewhere
+      await this.constructor.updateMany(
+        { _id: { $ne: this._id }, previousSlugs: this.slug },
+        { $pull: { previousSlugs: this.slug } }
+      );
+
+      return next();
+    } catch (error) {
+      return next(error);
+    }
+  });
+
+  schema.post('save', function() {
+    this.$locals.loadedSlug = this.slug;
+  });
+
+  /**
+   * Find the document that used to have a slug
+   * @param {String} slug - Outdated slug
+   * @param {String} select - Optional extra fields to select
+   * @returns {Object|null} - Lean document with its current slug, or null
+   */
+  schema.statics.findByPreviousSlug = function(slug, select = '') {
+    return this.findOne({ previousSlugs: slug })
+      .select(`slug ${select}`.trim())
+      .lean();
+  };
+};
+
+module.exports = slugHistoryPlugin;
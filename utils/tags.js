@@ -0,0 +1,137 @@
+const Tag = require('../models/tag.model');
+const Blog = require('../models/blog.model');
+const { buildPublishedFilter } = require('./blogVisibility');
+
+/**
+ * Utility functions keeping blog tags in line with the Tag collection
+ */
+
+/**
+ * Find a tag by its current slug, falling back to the slugs it had before a rename or merge
+ * @param {String} slug - Tag slug
+ * @returns {Object|null} - Tag document or null
+ */
+const findTagBySlug = async (slug) => {
+  return await Tag.findOne({ slug }) || await Tag.findOne({ previousSlugs: slug });
+};
+
+/**
+ * Find the tag a name normalises to, creating it if needed
+ * @param {String} name - Tag name as typed by the author
+ * @returns {Object|null} - Tag document, or null for an empty name
+ */
+const resolveTag = async (name) => {
+  const slug = Tag.slugFor(name);
+  if (!slug) return null;
+
+  const existing = await findTagBySlug(slug);
+  if (existing) return existing;
+
+  try {
+    return await Tag.create({ name, slug });
+  } catch (error) {
+    // Another request created the same tag in the meantime
+    if (error.code === 11000) return Tag.findOne({ slug });
+    throw error;
+  }
+};
+
+/**
+ * Normalise tags for a blog: variants of the same tag ("AI", "ai", "A.I.") are
+ * replaced by the canonical tag name and duplicates are removed
+ * @param {Array} names - Tag names
+ * @returns {Array} - Canonical tag names, in the original order
+ */
+const normalizeTags = async (names) => {
+  const tags = [];
+
+  for (const name of names) {
+    const tag = await resolveTag(String(name).trim().replace(/\s+/g, ' '));
+    if (tag && !tags.includes(tag.name)) {
+      tags.push(tag.name);
+    }
+  }
+
+  return tags;
+};
+
+/**
+ * Rename a tag and update every blog using it
+ * @param {Object} tag - Tag document
+ * @param {String} name - New name
+ * @returns {Number} - Number of blogs updated
+ */
+const renameTag = async (tag, name) => {
+  const oldName = tag.name;
+  tag.name = name;
+  await tag.save();
+
+  const result = await Blog.updateMany(
+    { tags: oldName },
+    { $set: { 'tags.$[tag]': name } },
+    { arrayFilters: [{ tag: oldName }] }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Merge tags into a target tag: blogs get the target tag instead of the source tags,
+ * and the source slugs redirect to the target
+ * @param {Array} sources - Tag documents to merge away
+ * @param {Object} target - Tag document to keep
+ * @returns {Number} - Number of blogs updated
+ */
+const mergeTags = async (sources, target) => {
+  let updated = 0;
+
+  for (const source of sources) {
+    await Blog.updateMany({ tags: source.name }, { $addToSet: { tags: target.name } });
+    const result = await Blog.updateMany({ tags: source.name }, { $pull: { tags: source.name } });
+    updated += result.modifiedCount;
+
+    await source.deleteOne();
+    await Tag.updateOne(
+      { _id: target._id },
+      { $addToSet: { previousSlugs: { $each: [source.slug, ...source.previousSlugs] } } }
+    );
+  }
+
+  return updated;
+};
+
+/**
+ * Delete a tag and remove it from every blog
+ * @param {Object} tag - Tag document
+ * @returns {Number} - Number of blogs updated
+ */
+const deleteTag = async (tag) => {
+  const result = await Blog.updateMany({ tags: tag.name }, { $pull: { tags: tag.name } });
+  await tag.deleteOne();
+  return result.modifiedCount;
+};
+
+/**
+ * Count published posts per tag name
+ * @param {Array} names - Tag names
+ * @returns {Map} - name => number of published posts
+ */
+const countPublishedPosts = async (names) => {
+  const counts = await Blog.aggregate([
+    { $match: { ...buildPublishedFilter(), tags: { $in: names } } },
+    { $unwind: '$tags' },
+    { $match: { tags: { $in: names } } },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+};
+
+module.exports = {
+  findTagBySlug,
+  normalizeTags,
+  renameTag,
+  mergeTags,
+  deleteTag,
+  countPublishedPosts
+};
@@ -142,34 +142,63 @@ const storage = new CloudinaryStorage({
   }
 });
 
+// Accept all common image formats (will be converted to WebP)
+const imageFileFilter = (req, file, cb) => {
+  const allowedTypes = [
+    'image/jpeg',
+    'image/jpg', 
+    'image/png',
+    'image/gif',
+    'image/bmp',
+    'image/tiff',
+    'image/webp'
+  ];
+  
+  if (allowedTypes.includes(file.mimetype)) {
+    console.log(`✅ Accepting ${file.mimetype} file: ${file.originalname} (will convert to WebP)`);
+    cb(null, true);
+  } else {
+    cb(new Error(`❌ Unsupported file type: ${file.mimetype}. Supported: JPG, PNG, GIF, BMP, TIFF, WebP`), false);
+  }
+};
+
 // Configure multer with enhanced file handling for KheyaMind AI
 const upload = multer({
   storage: storage,
-  fileFilter: (req, file, cb) => {
-    // Accept all common image formats (will be converted to WebP)
-    const allowedTypes = [
-      'image/jpeg',
-      'image/jpg', 
-      'image/png',
-      'image/gif',
-      'image/bmp',
-      'image/tiff',
-      'image/webp'
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
-      console.log(`✅ Accepting ${file.mimetype} file: ${file.originalname} (will convert to WebP)`);
-      cb(null, true);
-    } else {
-      cb(new Error(`❌ Unsupported file type: ${file.mimetype}. Supported: JPG, PNG, GIF, BMP, TIFF, WebP`), false);
-    }
-  },
+  fileFilter: imageFileFilter,
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit (increased for GIFs)
     files: 1 // Only allow 1 file per request
   }
 });
 
+// Author avatars: square WebP images cropped around the face
+const avatarStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: "author-avatars",
+    format: async () => 'webp',
+    transformation: [
+      { crop: "thumb", gravity: "face", width: 512, height: 512 },
+      { format: "webp" },
+      { quality: "auto:good" }
+    ],
+    public_id: () => `author_avatar_${Date.now()}`,
+    use_filename: true,
+    unique_filename: false,
+    overwrite: false
+  }
+});
+
+const avatarUpload = multer({
+  storage: avatarStorage,
+  fileFilter: imageFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1
+  }
+});
+
 // HELPER: Generate responsive WebP URLs for KheyaMind AI blog
 const generateWebPUrls = (publicId, options = {}) => {
   const baseUrl = cloudinary.url(publicId, {
@@ -220,6 +249,92 @@ const generateWebPUrls = (publicId, options = {}) => {
   };
 };
 
+// HELPER: Generate square WebP avatar URLs in the sizes used by author bylines and pages
+const generateAvatarUrls = (publicId) => {
+  const avatarUrl = (size) => cloudinary.url(publicId, {
+    format: 'webp',
+    quality: 'auto:good',
+    width: size,
+    height: size,
+    crop: 'thumb',
+    gravity: 'face'
+  });
+
+  return {
+    original: cloudinary.url(publicId, { format: 'webp', quality: 'auto:good' }),
+    small: avatarUrl(96),
+    medium: avatarUrl(256),
+    large: avatarUrl(512)
+  };
+};
+
+// HELPER: Extract the Cloudinary public ID (including folder) from a delivery URL
+// e.g. https://res.cloudinary.com/demo/image/upload/v1700000000/blog-images/blog_image_1.webp
+//   -> blog-images/blog_image_1
+const getPublicIdFromUrl = (url) => {
+  if (!url || !url.includes('/upload/')) {
+    return null;
+  }
+
+  let segments = url.split('/upload/')[1].split('?')[0].split('/');
+
+  // Everything up to the version segment is transformations; without a version,
+  // drop leading transformation segments (comma-separated "x_y" options)
+  const versionIndex = segments.findIndex((segment) => /^v\d+$/.test(segment));
+  if (versionIndex !== -1) {
+    segments = segments.slice(versionIndex + 1);
+  } else {
+    while (segments.length > 1 && /^[a-z]{1,3}_[^/]*$/.test(segments[0]) && !segments[0].includes('.')) {
+      segments.shift();
+    }
+  }
+
+  const publicId = segments.join('/').replace(/\.[^/.]+$/, '');
+  return publicId || null;
+};
+
+// HELPER: Get the file extension of an image URL (without query string)
+const getFormatFromUrl = (url) => {
+  const match = /\.([a-z0-9]+)(?:\?|$)/i.exec(url || '');
+  return match ? match[1].toLowerCase() : null;
+};
+
+// HELPER: Build the imageMetadata stored on a blog for a Cloudinary image
+const buildImageMetadata = (publicId, { originalFormat, isAnimated = false } = {}) => {
+  return {
+    format: 'webp',
+    originalFormat: originalFormat,
+    isAnimated: isAnimated,
+    cloudinaryPublicId: publicId,
+    responsiveUrls: generateWebPUrls(publicId),
+    blogPostUrl: cloudinary.url(publicId, getOptimizedTransformation('blog'))
+  };
+};
+
+// HELPER: Derive imageMetadata for an existing image URL (used for backfilling old posts)
+const deriveImageMetadata = (imageUrl) => {
+  const format = getFormatFromUrl(imageUrl);
+  const publicId = getPublicIdFromUrl(imageUrl);
+
+  // Non-Cloudinary images cannot be transformed, so only record what we know
+  if (!publicId) {
+    return {
+      format: format,
+      originalFormat: format,
+      isAnimated: format === 'gif'
+    };
+  }
+
+  return {
+    ...buildImageMetadata(publicId, {
+      originalFormat: format,
+      isAnimated: format === 'gif' || publicId.includes('blog_animated_')
+    }),
+    // Keep the real delivered format; older uploads may not be WebP
+    format: format || 'webp'
+  };
+};
+
 // HELPER: Check if file is animated (for GIFs)
 const isAnimatedImage = (filename) => {
   return filename.toLowerCase().endsWith('.gif');
@@ -342,12 +457,34 @@ const uploadToWebP = async (fileBuffer, filename, options = {}) => {
   }
 };
 
+/**
+ * Middleware (before the upload): delete the uploaded image from Cloudinary when the request is rejected,
+ * so failed permission checks and validations leave no orphaned images.
+ * Routes set res.locals.uploadSaved once the image is stored on a document, so later errors keep it
+ */
+const discardUploadOnError = (req, res, next) => {
+  res.on('finish', () => {
+    if (!req.file || !req.file.filename || res.statusCode < 400 || res.locals.uploadSaved) return;
+
+    cloudinary.uploader.destroy(req.file.filename).catch((error) => {
+      console.warn(`Could not delete rejected upload ${req.file.filename}:`, error.message);
+    });
+  });
+  next();
+};
+
 // Export all utilities for KheyaMind AI blog
 module.exports = { 
   upload,
+  discardUploadOnError,
+  avatarUpload,
+  generateAvatarUrls,
   uploadToWebP,
   generateWebPUrls,
   isAnimatedImage,
   getOptimizedTransformation,
+  getPublicIdFromUrl,
+  buildImageMetadata,
+  deriveImageMetadata,
   cloudinary
 };
@@ -0,0 +1,82 @@
+/**
+ * Utility functions for building public (frontend) URLs
+ */
+
+/**
+ * Base URL of the public site, without trailing slash
+ * @returns {String} - SITE_URL, falling back to CORS_ORIGIN in development
+ */
+const getSiteUrl = () => {
+  return (process.env.SITE_URL || process.env.CORS_ORIGIN || 'http://localhost:5173').replace(/\/+$/, '');
+};
+
+/**
+ * Build an absolute URL on the public site
+ * @param {String} path - Path starting with /
+ * @param {Object} query - Optional query string parameters
+ * @returns {String} - Absolute URL
+ */
+const siteUrl = (path = '/', query = {}) => {
+  const url = new URL(`${getSiteUrl()}${path.startsWith('/') ? path : `/${path}`}`);
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, value);
+    }
+  });
+  return url.toString();
+};
+
+/**
+ * Public URL of a blog post
+ * @param {String} slug - Blog slug
+ * @returns {String} - Absolute URL
+ */
+const blogUrl = (slug) => siteUrl(`/blog/${encodeURIComponent(slug)}`);
+
+/**
+ * Public URL of a category page
+ * @param {String} slug - Category slug
+ * @returns {String} - Absolute URL
+ */
+const categoryUrl = (slug) => siteUrl(`/category/${encodeURIComponent(slug)}`);
+
+/**
+ * Public URL of an author page
+ * @param {String} idOrSlug - Author id or slug
+ * @returns {String} - Absolute URL
+ */
+const authorUrl = (idOrSlug) => siteUrl(`/author/${encodeURIComponent(idOrSlug)}`);
+
+/**
+ * Base URL of the API, without trailing slash
+ * @param {Object} req - Express request, used when API_URL is not configured
+ * @returns {String} - API_URL, or the request's protocol and Host header outside production
+ */
+const getApiBase = (req) => {
+  if (process.env.API_URL) return process.env.API_URL.replace(/\/+$/, '');
+
+  // The Host header is client-controlled and links built from it end up in shared caches
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('API_URL must be set in production');
+  }
+
+  return `${req.protocol}://${req.get('host')}`;
+};
+
+/**
+ * Absolute URL of an API path, e.g. for self links in feeds and sitemaps
+ * @param {Object} req - Express request, used when API_URL is not configured
+ * @param {String} path - Path starting with /
+ * @returns {String} - Absolute URL
+ */
+const apiUrl = (req, path) => `${getApiBase(req)}${path}`;
+
+module.exports = {
+  getSiteUrl,
+  siteUrl,
+  getApiBase,
+  apiUrl,
+  blogUrl,
+  categoryUrl,
+  authorUrl
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const Blog = require('../models/blog.model');
+const BlogViewStat = require('../models/blogViewStat.model');
+const BlogViewVisit = require('../models/blogViewVisit.model');
+
+/**
+ * View tracking: one view per visitor, blog and day, aggregated into daily counters
+ */
+
+// Crawlers, link previews, monitoring and command-line clients
+const BOT_PATTERN = /bot|crawl|spider|slurp|scrape|fetch|preview|facebookexternalhit|embedly|whatsapp|telegram|discord|headless|phantom|lighthouse|pingdom|uptime|monitor|curl|wget|python|httpclient|okhttp|axios|node-fetch|go-http|java\//i;
+
+// Without a configured salt, a random one per process still keeps the hashes unguessable
+// (visitors may then be counted again after a restart or by another process)
+const VIEW_HASH_SALT = process.env.VIEW_HASH_SALT || crypto.randomBytes(32).toString('hex');
+
+// Distinct visitor ids counted per IP address and user agent, per blog and day
+const MAX_VISITORS_PER_SOURCE = parseInt(process.env.VIEW_MAX_VISITORS_PER_IP) || 5;
+
+/**
+ * Check whether a request comes from a bot or a speculative prefetch rather than a reader
+ * @param {Object} req - Express request
+ * @returns {Boolean}
+ */
+const isBotRequest = (req) => {
+  const userAgent = req.get('user-agent');
+  if (!userAgent || BOT_PATTERN.test(userAgent)) return true;
+
+  const purpose = req.get('sec-purpose') || req.get('purpose');
+  return Boolean(purpose && /prefetch|prerender/i.test(purpose));
+};
+
+/**
+ * Start of the UTC day of a date
+ * @param {Date} date
+ * @returns {Date}
+ */
+const startOfDay = (date = new Date()) => {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Record a view of a blog unless it comes from a bot or the visitor already viewed it today.
+ * Visitors are identified by IP address and user agent; the visitorId the client sends
+ * (e.g. kept in localStorage) only tells apart up to MAX_VISITORS_PER_SOURCE readers sharing them.
+ * @param {Object} blog - Blog with _id
+ * @param {Object} req - Express request
+ * @returns {Object} - { counted, reason }
+ */
+const recordView = async (blog, req) => {
+  if (isBotRequest(req)) {
+    return { counted: false, reason: 'bot' };
+  }
+
+  const date = startOfDay();
+  const hash = (value) => crypto
+    .createHash('sha256')
+    .update(`${VIEW_HASH_SALT}|${blog._id}|${date.toISOString()}|${value}`)
+    .digest('hex');
+
+  const source = `${req.ip}|${req.get('user-agent')}`;
+  const visitorId = req.body && req.body.visitorId ? String(req.body.visitorId) : '';
+  const sourceKey = hash(source);
+  const key = visitorId ? hash(`${source}|${visitorId}`) : sourceKey;
+
+  if (visitorId && await BlogViewVisit.countDocuments({ sourceKey }) >= MAX_VISITORS_PER_SOURCE) {
+    return { counted: false, reason: 'duplicate' };
+  }
+
+  try {
+    await BlogViewVisit.create({ key, sourceKey });
+  } catch (error) {
+    if (error.code === 11000) return { counted: false, reason: 'duplicate' };
+    throw error;
+  }
+
+  await Promise.all([
+    BlogViewStat.updateOne({ blog: blog._id, date }, { $inc: { views: 1 } }, { upsert: true }),
+    // updateOne skips the save hook, so updatedAt keeps its editorial meaning
+    Blog.updateOne({ _id: blog._id }, { $inc: { viewCount: 1 } })
+  ]);
+
+  return { counted: true };
+};
+
+module.exports = {
+  isBotRequest,
+  startOfDay,
+  recordView
+};
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Webhook = require('../models/webhook.model');
+const WebhookDelivery = require('../models/webhookDelivery.model');
+
+/**
+ * Outgoing webhooks for content events.
+ *
+ * Each delivery is a POST with a JSON body { id, event, createdAt, data } and the headers
+ *   X-Webhook-Id:        delivery id (stable across retries, use it to deduplicate)
+ *   X-Webhook-Event:     event name
+ *   X-Webhook-Timestamp: unix time in seconds of the attempt
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret>
+ * Any 2xx response counts as delivered; other responses and network errors are retried.
+ */
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+// Delay before each retry; a delivery is abandoned once these are used up
+const RETRY_DELAYS_SECONDS = [60, 300, 1800, 7200, 43200];
+// How long an attempt in progress keeps other workers from picking the delivery up
+const ATTEMPT_LEASE_SECONDS = 120;
+const MAX_RESPONSE_BODY_LENGTH = 1000;
+
+/**
+ * Generate a random webhook secret
+ * @returns {String} - Secret
+ */
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Sign a payload the way receivers are expected to verify it
+ * @param {String} secret - Webhook secret
+ * @param {Number} timestamp - Unix time in seconds
+ * @param {String} body - Raw JSON body
+ * @returns {String} - Hex HMAC-SHA256 signature
+ */
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const leaseUntil = () => new Date(Date.now() + ATTEMPT_LEASE_SECONDS * 1000);
+
+/**
+ * Send one attempt of a delivery and record the outcome
+ * @param {Object} delivery - WebhookDelivery document
+ * @returns {Object} - Updated delivery
+ */
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  if (!webhook || !webhook.isActive) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+    delivery.error = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+    return delivery.save();
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  delivery.attempts += 1;
+  delivery.lastAttemptAt = new Date();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'KheyaMind-Blog-Webhooks/1.0',
+        'X-Webhook-Id': String(delivery._id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, delivery.payload)}`
+      },
+      body: delivery.payload,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    delivery.responseStatus = response.status;
+    delivery.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY_LENGTH);
+    delivery.error = response.ok ? undefined : `Endpoint responded with ${response.status}`;
+  } catch (error) {
+    delivery.responseStatus = undefined;
+    delivery.responseBody = undefined;
+    delivery.error = error.name === 'TimeoutError'
+      ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms`
+      : error.message;
+  }
+
+  if (!delivery.error) {
+    delivery.status = 'success';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts > RETRY_DELAYS_SECONDS.length) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + RETRY_DELAYS_SECONDS[delivery.attempts - 1] * 1000);
+  }
+
+  await delivery.save();
+
+  if (delivery.status !== 'pending') {
+    await Webhook.updateOne({ _id: webhook._id }, {
+      lastDeliveryAt: delivery.lastAttemptAt,
+      lastDeliveryStatus: delivery.status
+    });
+  }
+
+  return delivery;
+};
+
+/**
+ * Create a delivery of an event to one webhook and make the first attempt
+ * @param {Object} webhook - Webhook document
+ * @param {String} event - Event name
+ * @param {Object} data - Event payload
+ * @param {Object} options
+ * @param {Boolean} options.wait - Wait for the first attempt instead of running it in the background
+ * @returns {Object} - WebhookDelivery document
+ */
+const queueDelivery = async (webhook, event, data, { wait = false } = {}) => {
+  const id = new mongoose.Types.ObjectId();
+
+  const delivery = await WebhookDelivery.create({
+    _id: id,
+    webhook: webhook._id,
+    event,
+    payload: JSON.stringify({ id, event, createdAt: new Date(), data }),
+    // Picked up by the retry job if this process dies before the first attempt finishes
+    nextAttemptAt: leaseUntil()
+  });
+
+  const attempt = attemptDelivery(delivery);
+  if (wait) return attempt;
+
+  attempt.catch((error) => console.error(`❌ Webhook delivery ${id} failed:`, error.message));
+  return delivery;
+};
+
+/**
+ * Deliver an event to every active webhook subscribed to it
+ * @param {String} event - Event name
+ * @param {Object} data - Event payload
+ * @returns {Array} - Created deliveries
+ */
+const queueWebhookDeliveries = async (event, data) => {
+  const webhooks = await Webhook.find({
+    isActive: true,
+    events: { $in: [event, '*'] }
+  });
+
+  return Promise.all(webhooks.map((webhook) => queueDelivery(webhook, event, data)));
+};
+
+/**
+ * Send again a delivery from the log, as a new delivery with the same payload
+ * @param {Object} delivery - WebhookDelivery document to resend
+ * @returns {Object} - New WebhookDelivery after its first attempt
+ */
+const redeliver = async (delivery) => {
+  const copy = await WebhookDelivery.create({
+    webhook: delivery.webhook,
+    event: delivery.event,
+    payload: delivery.payload,
+    nextAttemptAt: leaseUntil()
+  });
+
+  return attemptDelivery(copy);
+};
+
+/**
+ * Retry every pending delivery whose next attempt is due.
+ * Deliveries are claimed with an atomic update, so concurrent workers never
+ * send the same attempt twice.
+ * @returns {Number} - Number of attempts made
+ */
+const deliverDueWebhooks = async () => {
+  let attempted = 0;
+
+  for (;;) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { $set: { nextAttemptAt: leaseUntil() } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!delivery) break;
+
+    await attemptDelivery(delivery);
+    attempted += 1;
+  }
+
+  return attempted;
+};
+
+module.exports = {
+  generateWebhookSecret,
+  signPayload,
+  queueDelivery,
+  queueWebhookDeliveries,
+  redeliver,
+  deliverDueWebhooks
+};
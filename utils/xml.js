@@ -0,0 +1,54 @@
+/**
+ * Helpers for building XML documents (feeds, sitemaps)
+ */
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {*} value - Value to escape
+ * @returns {String} - Escaped string
+ */
+const escapeXml = (value) => {
+  if (value === undefined || value === null) return '';
+
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Wrap text in a CDATA section, splitting any "]]>" it contains
+ * @param {String} value - Raw text (e.g. HTML)
+ * @returns {String} - CDATA section
+ */
+const cdata = (value) => {
+  return `<![CDATA[${String(value || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+};
+
+/**
+ * Guess the MIME type of an image from its format or URL
+ * @param {String} imageUrl - Image URL
+ * @param {String} format - Known format (e.g. imageMetadata.format)
+ * @returns {String} - MIME type
+ */
+const imageMimeType = (imageUrl, format) => {
+  const extension = format || ((/\.([a-z0-9]+)(?:\?|$)/i.exec(imageUrl || '') || [])[1] || '');
+  const types = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    svg: 'image/svg+xml'
+  };
+  return types[extension.toLowerCase()] || 'image/webp';
+};
+
+module.exports = {
+  escapeXml,
+  cdata,
+  imageMimeType
+};
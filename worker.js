@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+// Load environment variables before any other code
+dotenv.config();
+
+const { connectDB } = require("./utils/db");
+const { registerContentHooks } = require("./utils/contentHooks");
+const { registerJobs } = require("./jobs");
+const { startJobs, stopJobs } = require("./utils/jobRunner");
+
+// Standalone background worker for deployments where the API process
+// cannot keep timers alive (e.g. serverless). Run with: npm run worker
+connectDB()
+  .then(() => {
+    console.log("Worker connected to MongoDB");
+    registerContentHooks();
+    registerJobs();
+    startJobs();
+  })
+  .catch((err) => {
+    console.error("Worker failed to connect to MongoDB:", err.message);
+    process.exit(1);
+  });
+
+const shutdown = async () => {
+  stopJobs();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);